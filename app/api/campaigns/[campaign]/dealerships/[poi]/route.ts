@@ -0,0 +1,33 @@
+import { NextResponse } from 'next/server'
+import { errorResponse, readJson } from '@/lib/api'
+import { deleteDealership, updateDealership } from '@/lib/campaigns'
+import { toDealership, validateDealership } from '@/lib/manifest'
+
+type Context = { params: { campaign: string; poi: string } }
+
+export async function PUT(request: Request, { params }: Context) {
+  const body = await readJson(request)
+  if (!body) {
+    return NextResponse.json({ error: 'Expected a JSON object' }, { status: 400 })
+  }
+  const dealership = toDealership(body)
+  const errors = validateDealership(dealership)
+  if (errors.length > 0) {
+    return NextResponse.json({ error: errors.join('; ') }, { status: 400 })
+  }
+  try {
+    await updateDealership(params.campaign, params.poi, dealership)
+    return NextResponse.json({ dealership })
+  } catch (e) {
+    return errorResponse(e)
+  }
+}
+
+export async function DELETE(request: Request, { params }: Context) {
+  try {
+    await deleteDealership(params.campaign, params.poi)
+    return new NextResponse(null, { status: 204 })
+  } catch (e) {
+    return errorResponse(e)
+  }
+}
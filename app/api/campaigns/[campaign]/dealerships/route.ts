@@ -0,0 +1,35 @@
+import { NextResponse } from 'next/server'
+import { errorResponse, readJson } from '@/lib/api'
+import { addDealership, getCampaign } from '@/lib/campaigns'
+import { toDealership, validateDealership } from '@/lib/manifest'
+
+type Context = { params: { campaign: string } }
+
+export const dynamic = 'force-dynamic'
+
+export async function GET(request: Request, { params }: Context) {
+  try {
+    const manifest = await getCampaign(params.campaign)
+    return NextResponse.json({ dealerships: manifest.dealerships })
+  } catch (e) {
+    return errorResponse(e)
+  }
+}
+
+export async function POST(request: Request, { params }: Context) {
+  const body = await readJson(request)
+  if (!body) {
+    return NextResponse.json({ error: 'Expected a JSON object' }, { status: 400 })
+  }
+  const dealership = toDealership(body)
+  const errors = validateDealership(dealership)
+  if (errors.length > 0) {
+    return NextResponse.json({ error: errors.join('; ') }, { status: 400 })
+  }
+  try {
+    await addDealership(params.campaign, dealership)
+    return NextResponse.json({ dealership }, { status: 201 })
+  } catch (e) {
+    return errorResponse(e)
+  }
+}
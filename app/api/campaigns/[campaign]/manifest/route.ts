@@ -0,0 +1,31 @@
+import { NextResponse } from 'next/server'
+import { errorResponse } from '@/lib/api'
+import { getCampaign } from '@/lib/campaigns'
+import { validateManifest } from '@/lib/manifest'
+
+type Context = { params: { campaign: string } }
+
+export const dynamic = 'force-dynamic'
+
+// Exports the manifest in the format script_audi.js expects, either for
+// AdParameters.manifestUrl or as a download with ?download=1.
+export async function GET(request: Request, { params }: Context) {
+  try {
+    const manifest = await getCampaign(params.campaign)
+    const errors = validateManifest(manifest)
+    if (errors.length > 0) {
+      return NextResponse.json({ error: errors.join('; ') }, { status: 422 })
+    }
+    const headers: Record<string, string> = {
+      // The player fetches the manifest from the publisher page.
+      'Access-Control-Allow-Origin': '*',
+    }
+    if (new URL(request.url).searchParams.has('download')) {
+      headers['Content-Disposition'] =
+        `attachment; filename="${params.campaign}.json"`
+    }
+    return NextResponse.json(manifest, { headers })
+  } catch (e) {
+    return errorResponse(e)
+  }
+}
@@ -0,0 +1,8 @@
+import { NextResponse } from 'next/server'
+import { listCampaigns } from '@/lib/campaigns'
+
+export const dynamic = 'force-dynamic'
+
+export async function GET() {
+  return NextResponse.json({ campaigns: await listCampaigns() })
+}
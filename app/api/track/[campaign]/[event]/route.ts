@@ -0,0 +1,41 @@
+import { NextResponse } from 'next/server'
+import { errorResponse } from '@/lib/api'
+import { eventFromQuery, recordEvent } from '@/lib/events'
+
+type Context = { params: { campaign: string; event: string } }
+
+export const dynamic = 'force-dynamic'
+
+// 1×1 transparent GIF answered to the pixels.
+const PIXEL = Buffer.from(
+  'R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7',
+  'base64'
+)
+
+// Local stand-in for the tracker: use
+// <origin>/api/track/<campaign>/click?r=<landing url> as config.macro.url.
+// The player sends the events to /api/track/<campaign>/<event> with the same
+// p_* parameters, the click redirects to r.
+async function track(request: Request, { params }: Context) {
+  const query = new URL(request.url).searchParams
+  try {
+    await recordEvent(params.campaign, eventFromQuery(params.event, query))
+  } catch (e) {
+    return errorResponse(e)
+  }
+  const redirect = query.get('r') ?? ''
+  if (params.event === 'click' && /^https?:\/\//.test(redirect)) {
+    return NextResponse.redirect(redirect, 302)
+  }
+  return new NextResponse(PIXEL, {
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Cache-Control': 'no-store',
+      'Content-Type': 'image/gif',
+    },
+  })
+}
+
+// Pixels are sent with fetch or an image (GET) or with sendBeacon (POST).
+export const GET = track
+export const POST = track
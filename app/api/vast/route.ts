@@ -0,0 +1,71 @@
+import { NextResponse } from 'next/server'
+import { errorResponse } from '@/lib/api'
+import { getCampaign, listCampaigns } from '@/lib/campaigns'
+import {
+  DEMO_TRACKER_URL,
+  VastVersion,
+  buildVast,
+  isTrackerUrl,
+  localTrackerUrl,
+} from '@/lib/vast'
+
+export const dynamic = 'force-dynamic'
+
+// VAST tag of a campaign. Query parameters, all optional:
+//   campaign  campaign id, defaults to the first campaign
+//   poi       geohash passed to the player as AdParameters.poi
+//   tracker   tracker click url, defaults to the campaign config, local
+//             for the collector of /api/track
+//   version   3.0 (default) or 4.1
+//   variant   lom1, lom2 or lom3 to force an audio variant
+//   skipOffset  seconds after which the ad can be skipped
+//   mode      audio for audio players
+//   gdpr, gdpr_consent  consent of the request, when there is no CMP
+export async function GET(request: Request) {
+  const url = new URL(request.url)
+  const query = url.searchParams
+  const version: VastVersion = query.get('version') === '4.1' ? '4.1' : '3.0'
+  try {
+    const campaign = query.get('campaign') ?? (await listCampaigns())[0]
+    const manifest = await getCampaign(campaign ?? '')
+    let tracker =
+      query.get('tracker') ?? manifest.config?.macro.url ?? DEMO_TRACKER_URL
+    if (tracker === 'local') {
+      tracker = localTrackerUrl(url.origin, campaign, manifest.config?.macro.url)
+    }
+    if (!isTrackerUrl(tracker)) {
+      return NextResponse.json({ error: 'Invalid tracker url' }, { status: 400 })
+    }
+    const vast = buildVast({
+      version,
+      campaign,
+      scriptUrl: `${url.origin}/api/vpaid/${campaign}`,
+      audio: manifest.defaultAudio,
+      poi: query.get('poi') ?? undefined,
+      variant: query.get('variant') ?? undefined,
+      skipOffset: query.has('skipOffset')
+        ? Number(query.get('skipOffset'))
+        : undefined,
+      mode: query.get('mode') === 'audio' ? 'audio' : undefined,
+      gdpr: query.get('gdpr') ?? undefined,
+      gdprConsent: query.get('gdpr_consent') ?? undefined,
+      config: {
+        macro: {
+          gClick: '',
+          ...manifest.config?.macro,
+          url: tracker,
+          timestamp: String(Date.now()),
+        },
+      },
+    })
+    return new NextResponse(vast, {
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Cache-Control': 'no-store',
+        'Content-Type': 'application/xml; charset=utf-8',
+      },
+    })
+  } catch (e) {
+    return errorResponse(e)
+  }
+}
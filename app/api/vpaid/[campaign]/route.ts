@@ -0,0 +1,25 @@
+import { NextResponse } from 'next/server'
+import { errorResponse } from '@/lib/api'
+import { buildVpaidScript } from '@/lib/vpaid'
+
+type Context = { params: { campaign: string } }
+
+export const dynamic = 'force-dynamic'
+
+export async function GET(request: Request, { params }: Context) {
+  try {
+    const { body, etag } = await buildVpaidScript(params.campaign)
+    const headers = {
+      'Access-Control-Allow-Origin': '*',
+      'Cache-Control': 'public, max-age=300, stale-while-revalidate=3600',
+      'Content-Type': 'application/javascript; charset=utf-8',
+      ETag: etag,
+    }
+    if (request.headers.get('if-none-match') === etag) {
+      return new NextResponse(null, { status: 304, headers })
+    }
+    return new NextResponse(body, { headers })
+  } catch (e) {
+    return errorResponse(e)
+  }
+}
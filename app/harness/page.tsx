@@ -0,0 +1,29 @@
+import Link from 'next/link'
+import VpaidHarness from '@/components/VpaidHarness'
+import { listCampaigns } from '@/lib/campaigns'
+
+export const dynamic = 'force-dynamic'
+
+export const metadata = {
+  title: 'VPAID test harness',
+}
+
+export default async function Harness() {
+  const campaigns = await listCampaigns()
+
+  return (
+    <main className="mx-auto flex min-h-screen max-w-7xl flex-col gap-6 p-8">
+      <header className="flex flex-wrap items-center justify-between gap-4">
+        <h1 className="text-2xl font-semibold">VPAID test harness</h1>
+        <Link href="/" className="text-sm underline">
+          Campaigns
+        </Link>
+      </header>
+      <p className="text-sm opacity-70">
+        Loads the creative in an iframe and drives it like a VPAID SDK. Tracker
+        pixels are recorded in the timeline instead of being sent.
+      </p>
+      <VpaidHarness campaigns={campaigns} />
+    </main>
+  )
+}
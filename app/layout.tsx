@@ -5,8 +5,8 @@ import { Inter } from 'next/font/google'
 const inter = Inter({ subsets: ['latin'] })
 
 export const metadata: Metadata = {
-  title: 'Create Next App',
-  description: 'Generated by create next app',
+  title: 'Dealership audio campaigns',
+  description: 'Manage the dealerships and audio variants of the VPAID creative',
 }
 
 export default function RootLayout({
@@ -0,0 +1,158 @@
+import Link from 'next/link'
+import { listCampaigns } from '@/lib/campaigns'
+import {
+  DIMENSIONS,
+  Dimension,
+  FUNNEL_STEPS,
+  FunnelRow,
+  TrackedEvent,
+  clickHeatmap,
+  funnel,
+  readEvents,
+} from '@/lib/events'
+
+export const dynamic = 'force-dynamic'
+
+export const metadata = {
+  title: 'Campaign reports',
+}
+
+const STEP_LABELS: Record<(typeof FUNNEL_STEPS)[number], string> = {
+  impression: 'Impressions',
+  start: 'Start',
+  first_quartile: '25%',
+  midpoint: '50%',
+  third_quartile: '75%',
+  complete: 'Complete',
+  click: 'Clicks',
+}
+
+function percent(value: number, total: number) {
+  return total ? `${Math.round((value * 100) / total)}%` : ''
+}
+
+function FunnelTable({ dimension, rows }: { dimension: Dimension; rows: FunnelRow[] }) {
+  return (
+    <table className="w-full text-left text-sm">
+      <thead>
+        <tr className="border-b border-gray-300 dark:border-neutral-700">
+          <th className="py-2">{DIMENSIONS[dimension]}</th>
+          {FUNNEL_STEPS.map((step) => (
+            <th key={step} className="py-2 text-right">
+              {STEP_LABELS[step]}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row) => (
+          <tr key={row.key} className="border-b border-gray-200 dark:border-neutral-800">
+            <td className="py-1 font-mono">{row.key}</td>
+            {FUNNEL_STEPS.map((step) => (
+              <td key={step} className="py-1 text-right">
+                {row.counts[step]}
+                {step !== 'impression' && (
+                  <span className="ml-1 text-xs opacity-50">
+                    {percent(row.counts[step], row.counts.impression)}
+                  </span>
+                )}
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  )
+}
+
+function Heatmap({ title, events }: { title: string; events: TrackedEvent[] }) {
+  const grid = clickHeatmap(events)
+  const max = Math.max(1, ...grid.flat())
+  return (
+    <figure className="flex flex-col gap-1">
+      <div className="grid aspect-video w-64 grid-cols-10 border border-gray-300 dark:border-neutral-700">
+        {grid.flatMap((row, y) =>
+          row.map((count, x) => (
+            <div
+              key={`${x}_${y}`}
+              title={`${x * 10}-${x * 10 + 10}% × ${y * 10}-${y * 10 + 10}%: ${count}`}
+              className="bg-red-600"
+              style={{ opacity: count / max }}
+            />
+          ))
+        )}
+      </div>
+      <figcaption className="text-sm opacity-70">{title}</figcaption>
+    </figure>
+  )
+}
+
+export default async function Reports({
+  searchParams,
+}: {
+  searchParams: { campaign?: string }
+}) {
+  const campaigns = await listCampaigns()
+  const campaign = campaigns.includes(searchParams.campaign ?? '')
+    ? searchParams.campaign!
+    : campaigns[0]
+  const events = campaign ? await readEvents(campaign) : []
+  const variants = funnel(events, 'v').map((row) => row.key)
+
+  return (
+    <main className="mx-auto flex min-h-screen max-w-6xl flex-col gap-6 p-8">
+      <header className="flex flex-wrap items-center justify-between gap-4">
+        <h1 className="text-2xl font-semibold">Campaign reports</h1>
+        <nav className="flex flex-wrap items-center gap-2 text-sm">
+          <Link href="/" className="mr-2 underline">
+            Campaigns
+          </Link>
+          {campaigns.map((id) => (
+            <Link
+              key={id}
+              href={`/reports?campaign=${id}`}
+              className={`rounded-lg border px-3 py-1 ${
+                id === campaign
+                  ? 'border-blue-600 bg-blue-600 text-white'
+                  : 'border-gray-300 hover:bg-gray-100 dark:border-neutral-700 dark:hover:bg-neutral-800'
+              }`}
+            >
+              {id}
+            </Link>
+          ))}
+        </nav>
+      </header>
+
+      {events.length === 0 ? (
+        <p className="opacity-70">
+          No events collected yet. Serve the VAST tag with{' '}
+          <code>tracker=local</code> to send the events to{' '}
+          <code>/api/track/{campaign}</code>.
+        </p>
+      ) : (
+        <>
+          <p className="text-sm opacity-70">{events.length} events collected.</p>
+          {(Object.keys(DIMENSIONS) as Dimension[]).map((dimension) => (
+            <section key={dimension} className="flex flex-col gap-2">
+              <h2 className="font-semibold">Funnel by {DIMENSIONS[dimension].toLowerCase()}</h2>
+              <FunnelTable dimension={dimension} rows={funnel(events, dimension)} />
+            </section>
+          ))}
+          <section className="flex flex-col gap-2">
+            <h2 className="font-semibold">Click positions</h2>
+            <div className="flex flex-wrap gap-4">
+              <Heatmap title="All variants" events={events} />
+              {variants.map((variant) => (
+                <Heatmap
+                  key={variant}
+                  title={variant}
+                  events={events.filter((e) => (e.params.v ?? '(none)') === variant)}
+                />
+              ))}
+            </div>
+          </section>
+        </>
+      )}
+    </main>
+  )
+}
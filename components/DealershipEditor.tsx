@@ -0,0 +1,286 @@
+'use client'
+
+import { FormEvent, useMemo, useState } from 'react'
+import {
+  AUDIO_VARIANTS,
+  AudioSource,
+  COMPANION_FIELDS,
+  Dealership,
+} from '@/lib/manifest'
+
+const REQUIRED_FIELDS = ['c', 'poi', ...AUDIO_VARIANTS] as const
+
+// Audios, edited as a url or as JSON renditions.
+const AUDIO_FIELDS = [...AUDIO_VARIANTS, 'tag'] as const
+
+// Click-through fields, the click pixels are edited space separated.
+const CLICK_FIELDS = ['landingUrl', 'clickPixels'] as const
+
+type Field =
+  | (typeof REQUIRED_FIELDS)[number]
+  | (typeof AUDIO_FIELDS)[number]
+  | (typeof COMPANION_FIELDS)[number]
+  | (typeof CLICK_FIELDS)[number]
+
+const FORM_FIELDS: Field[] = [
+  ...REQUIRED_FIELDS,
+  'tag',
+  ...COMPANION_FIELDS,
+  ...CLICK_FIELDS,
+]
+
+// Form values are strings: renditions are edited as JSON.
+type Form = Partial<Record<Field, string>>
+
+const EMPTY: Form = { c: '', poi: '', lom1: '', lom2: '', lom3: '' }
+
+const FIELD_LABELS: Partial<Record<keyof Dealership, string>> = {
+  c: 'City',
+  poi: 'Geohash',
+  tag: 'Stitched tag (optional)',
+  address: 'Address',
+  hours: 'Opening hours',
+  mapImage: 'Map image url',
+  landingUrl: 'Landing page url',
+  clickPixels: 'Click pixels (space separated)',
+}
+
+function toForm(dealership: Dealership): Form {
+  const form: Form = { ...dealership } as Form
+  for (const field of AUDIO_FIELDS) {
+    const audio = dealership[field]
+    if (audio !== undefined) {
+      form[field] = typeof audio === 'string' ? audio : JSON.stringify(audio)
+    }
+  }
+  form.clickPixels = dealership.clickPixels?.join(' ')
+  return form
+}
+
+function fromForm(form: Form) {
+  const dealership: Record<string, unknown> = { ...form }
+  for (const field of AUDIO_FIELDS) {
+    const value = form[field]?.trim() ?? ''
+    if (value.startsWith('[')) {
+      try {
+        dealership[field] = JSON.parse(value)
+      } catch {
+        throw new Error(`${field} is not valid JSON`)
+      }
+    }
+  }
+  dealership.clickPixels = form.clickPixels?.split(/\s+/).filter(Boolean)
+  return dealership
+}
+
+function audioHref(audio: AudioSource) {
+  return typeof audio === 'string' ? audio : audio[0]?.url
+}
+
+/** File name of an audio, with the number of renditions if several. */
+function audioLabel(audio: AudioSource) {
+  const url = audioHref(audio) ?? ''
+  const name = decodeURIComponent(url.split('/').pop()!)
+  return typeof audio === 'string' || audio.length < 2
+    ? name
+    : `${name} (+${audio.length - 1})`
+}
+
+const inputClass =
+  'w-full rounded border border-gray-300 bg-transparent px-2 py-1 text-sm dark:border-neutral-700'
+const buttonClass =
+  'rounded border border-gray-300 px-3 py-1 text-sm hover:bg-gray-100 dark:border-neutral-700 dark:hover:bg-neutral-800'
+
+export default function DealershipEditor({
+  campaign,
+  initialDealerships,
+}: {
+  campaign: string
+  initialDealerships: Dealership[]
+}) {
+  const [dealerships, setDealerships] = useState(initialDealerships)
+  const [query, setQuery] = useState('')
+  // poi of the dealership being edited, '' when adding a new one.
+  const [editing, setEditing] = useState<string | null>(null)
+  const [form, setForm] = useState<Form>(EMPTY)
+  const [error, setError] = useState('')
+
+  const api = `/api/campaigns/${campaign}`
+
+  const filtered = useMemo(() => {
+    const q = query.trim().toLowerCase()
+    if (!q) {
+      return dealerships
+    }
+    return dealerships.filter(
+      (d) => d.c.toLowerCase().includes(q) || d.poi.includes(q)
+    )
+  }, [dealerships, query])
+
+  function startEdit(dealership: Dealership | null) {
+    setEditing(dealership ? dealership.poi : '')
+    setForm(dealership ? toForm(dealership) : EMPTY)
+    setError('')
+  }
+
+  async function save(e: FormEvent) {
+    e.preventDefault()
+    const isNew = editing === ''
+    let dealership
+    try {
+      dealership = fromForm(form)
+    } catch (e) {
+      setError((e as Error).message)
+      return
+    }
+    const response = await fetch(
+      isNew ? `${api}/dealerships` : `${api}/dealerships/${editing}`,
+      {
+        method: isNew ? 'POST' : 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(dealership),
+      }
+    )
+    const body = await response.json()
+    if (!response.ok) {
+      setError(body.error)
+      return
+    }
+    setDealerships((current) =>
+      isNew
+        ? [...current, body.dealership]
+        : current.map((d) => (d.poi === editing ? body.dealership : d))
+    )
+    setEditing(null)
+  }
+
+  async function remove(dealership: Dealership) {
+    if (!confirm(`Delete ${dealership.c} (${dealership.poi})?`)) {
+      return
+    }
+    const response = await fetch(`${api}/dealerships/${dealership.poi}`, {
+      method: 'DELETE',
+    })
+    if (!response.ok) {
+      setError((await response.json()).error)
+      return
+    }
+    setDealerships((current) => current.filter((d) => d.poi !== dealership.poi))
+  }
+
+  return (
+    <section className="flex flex-col gap-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="search"
+          placeholder="Search city or geohash"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          className={`${inputClass} max-w-xs`}
+        />
+        <span className="text-sm opacity-70">
+          {filtered.length} / {dealerships.length} dealerships
+        </span>
+        <div className="ml-auto flex gap-2">
+          <button className={buttonClass} onClick={() => startEdit(null)}>
+            Add dealership
+          </button>
+          <a className={buttonClass} href={`${api}/manifest?download=1`}>
+            Export manifest
+          </a>
+        </div>
+      </div>
+
+      {error && editing === null && (
+        <p className="text-sm text-red-600">{error}</p>
+      )}
+
+      {editing !== null && (
+        <form
+          onSubmit={save}
+          className="grid gap-2 rounded-lg border border-gray-300 p-4 dark:border-neutral-700 md:grid-cols-2"
+        >
+          {FORM_FIELDS.map((field) => (
+            <label key={field} className="flex flex-col gap-1 text-sm">
+              {FIELD_LABELS[field] ?? field}
+              <input
+                required={(REQUIRED_FIELDS as readonly string[]).includes(field)}
+                value={form[field] ?? ''}
+                onChange={(e) => setForm({ ...form, [field]: e.target.value })}
+                className={inputClass}
+              />
+            </label>
+          ))}
+          {error && (
+            <p className="text-sm text-red-600 md:col-span-2">{error}</p>
+          )}
+          <div className="flex gap-2 md:col-span-2">
+            <button type="submit" className={buttonClass}>
+              {editing === '' ? 'Add' : 'Save'}
+            </button>
+            <button
+              type="button"
+              className={buttonClass}
+              onClick={() => setEditing(null)}
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      <table className="w-full text-left text-sm">
+        <thead>
+          <tr className="border-b border-gray-300 dark:border-neutral-700">
+            <th className="py-2">City</th>
+            <th className="py-2">Geohash</th>
+            {AUDIO_VARIANTS.map((variant) => (
+              <th key={variant} className="py-2">
+                {variant}
+              </th>
+            ))}
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {filtered.map((dealership) => (
+            <tr
+              key={dealership.poi}
+              className="border-b border-gray-200 dark:border-neutral-800"
+            >
+              <td className="py-1">{dealership.c}</td>
+              <td className="py-1 font-mono">{dealership.poi}</td>
+              {AUDIO_VARIANTS.map((variant) => (
+                <td key={variant} className="max-w-[12rem] truncate py-1">
+                  <a
+                    href={audioHref(dealership[variant])}
+                    title={audioHref(dealership[variant])}
+                    className="underline"
+                    target="_blank"
+                    rel="noopener noreferrer"
+                  >
+                    {audioLabel(dealership[variant])}
+                  </a>
+                </td>
+              ))}
+              <td className="flex justify-end gap-2 py-1">
+                <button
+                  className={buttonClass}
+                  onClick={() => startEdit(dealership)}
+                >
+                  Edit
+                </button>
+                <button
+                  className={buttonClass}
+                  onClick={() => remove(dealership)}
+                >
+                  Delete
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </section>
+  )
+}
@@ -0,0 +1,332 @@
+'use client'
+
+import { useCallback, useEffect, useRef, useState } from 'react'
+
+// Every event a VPAID 2.0 ad can fire.
+const VPAID_EVENTS = [
+  'AdLoaded',
+  'AdStarted',
+  'AdStopped',
+  'AdSkipped',
+  'AdSkippableStateChange',
+  'AdSizeChange',
+  'AdLinearChange',
+  'AdDurationChange',
+  'AdExpandedChange',
+  'AdRemainingTimeChange',
+  'AdVolumeChange',
+  'AdImpression',
+  'AdVideoStart',
+  'AdVideoFirstQuartile',
+  'AdVideoMidpoint',
+  'AdVideoThirdQuartile',
+  'AdVideoComplete',
+  'AdClickThru',
+  'AdInteraction',
+  'AdUserAcceptInvitation',
+  'AdUserMinimize',
+  'AdUserClose',
+  'AdPaused',
+  'AdPlaying',
+  'AdLog',
+  'AdError',
+]
+
+const GETTERS = [
+  'getAdLinear',
+  'getAdWidth',
+  'getAdHeight',
+  'getAdExpanded',
+  'getAdSkippableState',
+  'getAdRemainingTime',
+  'getAdDuration',
+  'getAdVolume',
+  'getAdCompanions',
+  'getAdIcons',
+]
+
+type VpaidAd = Record<string, (...args: unknown[]) => unknown>
+
+type Entry = {
+  time: number
+  kind: 'call' | 'event' | 'pixel' | 'error'
+  name: string
+  detail?: string
+}
+
+type HarnessWindow = Window & { getVPAIDAd?: () => VpaidAd }
+
+const buttonClass =
+  'rounded border border-gray-300 px-3 py-1 text-sm hover:bg-gray-100 disabled:opacity-40 dark:border-neutral-700 dark:hover:bg-neutral-800'
+const inputClass =
+  'rounded border border-gray-300 bg-transparent px-2 py-1 text-sm dark:border-neutral-700'
+
+const KIND_CLASS: Record<Entry['kind'], string> = {
+  call: 'text-blue-600',
+  event: 'text-green-600',
+  pixel: 'text-amber-600',
+  error: 'text-red-600',
+}
+
+/** Reads the script url and AdParameters of the VAST tag of a campaign. */
+async function loadVast(campaign: string, poi: string) {
+  const query = new URLSearchParams({ campaign })
+  if (poi) {
+    query.set('poi', poi)
+  }
+  const xml = await (await fetch(`/api/vast?${query}`)).text()
+  const vast = new DOMParser().parseFromString(xml, 'application/xml')
+  return {
+    scriptUrl: vast.querySelector('MediaFile')?.textContent?.trim() ?? '',
+    adParameters: vast.querySelector('AdParameters')?.textContent?.trim() ?? '',
+  }
+}
+
+/**
+ * Replaces the ways the creative sends pixels (Image, sendBeacon, fetch) in
+ * the ad iframe with recorders, so nothing reaches the trackers, local ones
+ * included. The script tag and the XMLHttpRequest of the manifest are left
+ * untouched.
+ */
+function interceptPixels(win: Window, record: (kind: string, url: string) => void) {
+  const doc = win.document
+  const InterceptedImage = function () {
+    const img = doc.createElement('img')
+    Object.defineProperty(img, 'src', {
+      get: () => '',
+      set: (url: string) => record('image', url),
+    })
+    return img
+  }
+  Object.defineProperty(win, 'Image', { value: InterceptedImage })
+  Object.defineProperty(win.navigator, 'sendBeacon', {
+    value: (url: string) => {
+      record('beacon', url)
+      return true
+    },
+  })
+  Object.defineProperty(win, 'fetch', {
+    value: (input: RequestInfo | URL) => {
+      // The srcdoc iframe resolves relative urls against the harness page.
+      const url = new URL(String(input instanceof Request ? input.url : input), doc.baseURI)
+      record('fetch', url.toString())
+      return Promise.resolve(new Response(null, { status: 204 }))
+    },
+  })
+}
+
+export default function VpaidHarness({ campaigns }: { campaigns: string[] }) {
+  const [campaign, setCampaign] = useState(campaigns[0] ?? '')
+  const [poi, setPoi] = useState('')
+  const [scriptUrl, setScriptUrl] = useState('')
+  const [adParameters, setAdParameters] = useState('')
+  const [size, setSize] = useState({ width: 640, height: 360 })
+  const [entries, setEntries] = useState<Entry[]>([])
+  const [attributes, setAttributes] = useState<Record<string, string>>({})
+  const [loaded, setLoaded] = useState(false)
+  const iframeRef = useRef<HTMLIFrameElement>(null)
+  const adRef = useRef<VpaidAd | null>(null)
+  const startRef = useRef(0)
+
+  const log = useCallback((kind: Entry['kind'], name: string, detail?: string) => {
+    const time = startRef.current ? Date.now() - startRef.current : 0
+    setEntries((current) => [...current, { time, kind, name, detail }])
+  }, [])
+
+  const refreshAttributes = useCallback(() => {
+    const ad = adRef.current
+    if (!ad) {
+      return
+    }
+    const values: Record<string, string> = {}
+    for (const getter of GETTERS) {
+      try {
+        values[getter] = JSON.stringify(ad[getter]())
+      } catch (e) {
+        values[getter] = `throws ${(e as Error).message}`
+      }
+    }
+    setAttributes(values)
+  }, [])
+
+  useEffect(() => {
+    if (!campaign) {
+      return
+    }
+    loadVast(campaign, poi).then(({ scriptUrl, adParameters }) => {
+      setScriptUrl(scriptUrl)
+      setAdParameters(adParameters)
+    })
+  }, [campaign, poi])
+
+  function loadScript() {
+    const iframe = iframeRef.current!
+    setLoaded(false)
+    setEntries([])
+    setAttributes({})
+    adRef.current = null
+    startRef.current = Date.now()
+    // Reset the iframe so every load starts from a clean window.
+    iframe.onload = () => {
+      const win = iframe.contentWindow as HarnessWindow
+      const doc = win.document
+      doc.body.style.margin = '0'
+      interceptPixels(win, (kind, url) => log('pixel', kind, url))
+      win.addEventListener('error', (e) => log('error', 'window.onerror', e.message))
+      const script = doc.createElement('script')
+      script.src = scriptUrl
+      script.onload = () => {
+        adRef.current = win.getVPAIDAd!()
+        for (const name of VPAID_EVENTS) {
+          adRef.current.subscribe(
+            (...args: unknown[]) => {
+              log(name === 'AdError' ? 'error' : 'event', name,
+                args.length ? JSON.stringify(args.length === 1 ? args[0] : args) : undefined)
+              refreshAttributes()
+            },
+            name,
+            null
+          )
+        }
+        log('call', 'getVPAIDAd')
+        setLoaded(true)
+      }
+      script.onerror = () => log('error', 'script', `Unable to load ${scriptUrl}`)
+      doc.head.appendChild(script)
+    }
+    iframe.srcdoc = '<!DOCTYPE html><html><head></head><body></body></html>'
+  }
+
+  function call(method: string, ...args: unknown[]) {
+    const ad = adRef.current
+    if (!ad) {
+      return
+    }
+    log('call', method, args.length ? JSON.stringify(args) : undefined)
+    try {
+      const result = ad[method](...args)
+      if (result !== undefined) {
+        log('call', `${method} returned`, JSON.stringify(result))
+      }
+    } catch (e) {
+      log('error', method, (e as Error).message)
+    }
+    refreshAttributes()
+  }
+
+  function initAd() {
+    const doc = iframeRef.current!.contentDocument!
+    doc.body.innerHTML = ''
+    const slot = doc.createElement('div')
+    slot.style.cssText = 'position:relative;width:100%;height:100%'
+    const videoSlot = doc.createElement('video')
+    videoSlot.style.cssText = 'width:100%;height:100%'
+    slot.appendChild(videoSlot)
+    doc.body.appendChild(slot)
+    call('initAd', size.width, size.height, 'normal', 256,
+      { AdParameters: adParameters }, { slot, videoSlot })
+  }
+
+  return (
+    <section className="grid gap-6 lg:grid-cols-2">
+      <div className="flex flex-col gap-4">
+        <div className="flex flex-wrap gap-2">
+          <select
+            value={campaign}
+            onChange={(e) => setCampaign(e.target.value)}
+            className={inputClass}
+          >
+            {campaigns.map((id) => (
+              <option key={id} value={id}>
+                {id}
+              </option>
+            ))}
+          </select>
+          <input
+            placeholder="POI geohash"
+            value={poi}
+            onChange={(e) => setPoi(e.target.value)}
+            className={inputClass}
+          />
+          <input
+            value={scriptUrl}
+            onChange={(e) => setScriptUrl(e.target.value)}
+            className={`${inputClass} min-w-[16rem] flex-1`}
+          />
+        </div>
+        <textarea
+          value={adParameters}
+          onChange={(e) => setAdParameters(e.target.value)}
+          rows={5}
+          className={`${inputClass} font-mono text-xs`}
+        />
+        <div className="flex flex-wrap gap-2">
+          <button className={buttonClass} onClick={loadScript}>
+            Load script
+          </button>
+          <button className={buttonClass} disabled={!loaded}
+            onClick={() => call('handshakeVersion', '2.0')}>
+            handshakeVersion
+          </button>
+          <button className={buttonClass} disabled={!loaded} onClick={initAd}>
+            initAd
+          </button>
+          {['startAd', 'pauseAd', 'resumeAd', 'expandAd', 'collapseAd', 'skipAd', 'stopAd'].map(
+            (method) => (
+              <button key={method} className={buttonClass} disabled={!loaded}
+                onClick={() => call(method)}>
+                {method}
+              </button>
+            )
+          )}
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <input type="number" value={size.width} className={`${inputClass} w-20`}
+            onChange={(e) => setSize({ ...size, width: Number(e.target.value) })} />
+          ×
+          <input type="number" value={size.height} className={`${inputClass} w-20`}
+            onChange={(e) => setSize({ ...size, height: Number(e.target.value) })} />
+          <button className={buttonClass} disabled={!loaded}
+            onClick={() => call('resizeAd', size.width, size.height, 'normal')}>
+            resizeAd
+          </button>
+        </div>
+        <iframe
+          ref={iframeRef}
+          title="VPAID slot"
+          style={{ width: size.width, height: size.height }}
+          className="max-w-full border border-gray-300 bg-black dark:border-neutral-700"
+        />
+        <table className="text-left text-sm">
+          <tbody>
+            {GETTERS.map((getter) => (
+              <tr key={getter}>
+                <td className="pr-4 font-mono">{getter}</td>
+                <td className="font-mono">{attributes[getter] ?? ''}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-col gap-2">
+        <div className="flex items-center justify-between">
+          <h2 className="font-semibold">Timeline</h2>
+          <button className={buttonClass} onClick={() => setEntries([])}>
+            Clear
+          </button>
+        </div>
+        <ol className="max-h-[80vh] overflow-auto font-mono text-xs">
+          {entries.map((entry, i) => (
+            <li key={i} className="border-b border-gray-200 py-1 dark:border-neutral-800">
+              <span className="opacity-50">{(entry.time / 1000).toFixed(2)}s </span>
+              <span className={KIND_CLASS[entry.kind]}>{entry.kind} </span>
+              <span>{entry.name}</span>
+              {entry.detail && <div className="break-all opacity-70">{entry.detail}</div>}
+            </li>
+          ))}
+        </ol>
+      </div>
+    </section>
+  )
+}
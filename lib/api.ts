@@ -0,0 +1,22 @@
+import { NextResponse } from 'next/server'
+import { CampaignError } from './campaigns'
+
+/** Turns a CampaignError into a JSON error response, rethrows anything else. */
+export function errorResponse(e: unknown) {
+  if (e instanceof CampaignError) {
+    return NextResponse.json({ error: e.message }, { status: e.status })
+  }
+  throw e
+}
+
+/** Reads a JSON object body, or null when the body is not a JSON object. */
+export async function readJson(request: Request) {
+  try {
+    const body = await request.json()
+    return typeof body === 'object' && body !== null && !Array.isArray(body)
+      ? (body as Record<string, unknown>)
+      : null
+  } catch (e) {
+    return null
+  }
+}
@@ -0,0 +1,93 @@
+import { promises as fs } from 'fs'
+import path from 'path'
+import type { Dealership, Manifest } from './manifest'
+
+// Campaign manifests are stored as one JSON file per campaign.
+const CAMPAIGNS_DIR = path.join(process.cwd(), 'data', 'campaigns')
+const CAMPAIGN_ID = /^[a-z0-9][a-z0-9-]*$/
+
+export class CampaignError extends Error {
+  constructor(message: string, readonly status: number) {
+    super(message)
+    this.name = 'CampaignError'
+  }
+}
+
+export function checkCampaignId(campaign: string) {
+  if (!CAMPAIGN_ID.test(campaign)) {
+    throw new CampaignError(`Invalid campaign id ${campaign}`, 400)
+  }
+}
+
+function campaignFile(campaign: string) {
+  checkCampaignId(campaign)
+  return path.join(CAMPAIGNS_DIR, `${campaign}.json`)
+}
+
+export async function listCampaigns() {
+  const files = await fs.readdir(CAMPAIGNS_DIR)
+  return files
+    .filter((file) => file.endsWith('.json'))
+    .map((file) => file.slice(0, -'.json'.length))
+    .sort()
+}
+
+export async function getCampaign(campaign: string): Promise<Manifest> {
+  let content: string
+  try {
+    content = await fs.readFile(campaignFile(campaign), 'utf8')
+  } catch (e) {
+    if ((e as NodeJS.ErrnoException).code === 'ENOENT') {
+      throw new CampaignError(`Unknown campaign ${campaign}`, 404)
+    }
+    throw e
+  }
+  return JSON.parse(content)
+}
+
+export async function saveCampaign(campaign: string, manifest: Manifest) {
+  const file = campaignFile(campaign)
+  // Write then rename so a crash never leaves a truncated manifest behind.
+  const tmp = `${file}.${process.pid}.tmp`
+  await fs.writeFile(tmp, JSON.stringify(manifest, null, 2) + '\n')
+  await fs.rename(tmp, file)
+}
+
+export async function addDealership(campaign: string, dealership: Dealership) {
+  const manifest = await getCampaign(campaign)
+  if (manifest.dealerships.some((d) => d.poi === dealership.poi)) {
+    throw new CampaignError(`Dealership ${dealership.poi} already exists`, 409)
+  }
+  manifest.dealerships.push(dealership)
+  await saveCampaign(campaign, manifest)
+  return dealership
+}
+
+export async function updateDealership(
+  campaign: string,
+  poi: string,
+  dealership: Dealership
+) {
+  const manifest = await getCampaign(campaign)
+  const index = manifest.dealerships.findIndex((d) => d.poi === poi)
+  if (index === -1) {
+    throw new CampaignError(`Unknown dealership ${poi}`, 404)
+  }
+  if (dealership.poi !== poi &&
+      manifest.dealerships.some((d) => d.poi === dealership.poi)) {
+    throw new CampaignError(`Dealership ${dealership.poi} already exists`, 409)
+  }
+  manifest.dealerships[index] = dealership
+  await saveCampaign(campaign, manifest)
+  return dealership
+}
+
+export async function deleteDealership(campaign: string, poi: string) {
+  const manifest = await getCampaign(campaign)
+  const dealerships = manifest.dealerships.filter((d) => d.poi !== poi)
+  if (dealerships.length === manifest.dealerships.length) {
+    throw new CampaignError(`Unknown dealership ${poi}`, 404)
+  }
+  manifest.dealerships = dealerships
+  await saveCampaign(campaign, manifest)
+}
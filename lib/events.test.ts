@@ -0,0 +1,27 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { clickHeatmap, type TrackedEvent } from './events'
+
+const event = (name: string, params: Record<string, string>): TrackedEvent => ({
+  time: 0,
+  event: name,
+  params,
+})
+
+test('clickHeatmap counts a CTA click once', () => {
+  // The tracker redirection and the cta_click interaction of the same click.
+  const grid = clickHeatmap([
+    event('click', { et: 'i', p: '55_45' }),
+    event('cta_click', { et: 'i', p: '55_45' }),
+  ])
+  assert.equal(grid.flat().reduce((sum, count) => sum + count, 0), 1)
+  assert.equal(grid[4][5], 1)
+})
+
+test('clickHeatmap leaves out the other interactions', () => {
+  const grid = clickHeatmap([
+    event('mute', { et: 'i', p: '10_10' }),
+    event('expand', { et: 'i', p: '90_10' }),
+  ])
+  assert.equal(grid.flat().reduce((sum, count) => sum + count, 0), 0)
+})
@@ -0,0 +1,151 @@
+import { promises as fs } from 'fs'
+import path from 'path'
+import { checkCampaignId } from './campaigns'
+
+// Tracker events collected by /api/track, one JSON line per event and one
+// file per campaign.
+const EVENTS_DIR = path.join(process.cwd(), 'data', 'events')
+
+export type TrackedEvent = {
+  time: number
+  event: string
+  // p_* query parameters of the pixel, without the p_ prefix.
+  params: Record<string, string>
+}
+
+export const FUNNEL_STEPS = [
+  'impression',
+  'start',
+  'first_quartile',
+  'midpoint',
+  'third_quartile',
+  'complete',
+  'click',
+] as const
+
+export type FunnelStep = (typeof FUNNEL_STEPS)[number]
+
+export type FunnelRow = {
+  key: string
+  counts: Record<FunnelStep, number>
+}
+
+// Event parameters the funnel can be broken down by, see startAd.
+export const DIMENSIONS = {
+  poi: 'POI',
+  city: 'City',
+  v: 'Audio variant',
+} as const
+
+export type Dimension = keyof typeof DIMENSIONS
+
+// Side of the click heatmap grid, positions are percentages of the screen.
+export const HEATMAP_SIZE = 10
+
+function eventsFile(campaign: string) {
+  checkCampaignId(campaign)
+  return path.join(EVENTS_DIR, `${campaign}.jsonl`)
+}
+
+/** Reads the event name and p_* parameters of a tracker pixel. */
+export function eventFromQuery(event: string, query: URLSearchParams): TrackedEvent {
+  const params: Record<string, string> = {}
+  query.forEach((value, key) => {
+    if (key.startsWith('p_')) {
+      params[key.slice(2)] = value
+    }
+  })
+  return { time: Date.now(), event, params }
+}
+
+export async function recordEvent(campaign: string, event: TrackedEvent) {
+  const file = eventsFile(campaign)
+  await fs.mkdir(EVENTS_DIR, { recursive: true })
+  await fs.appendFile(file, JSON.stringify(event) + '\n')
+}
+
+export async function readEvents(campaign: string): Promise<TrackedEvent[]> {
+  let content: string
+  try {
+    content = await fs.readFile(eventsFile(campaign), 'utf8')
+  } catch (e) {
+    if ((e as NodeJS.ErrnoException).code === 'ENOENT') {
+      return []
+    }
+    throw e
+  }
+  const events: TrackedEvent[] = []
+  for (const line of content.split('\n')) {
+    try {
+      events.push(JSON.parse(line))
+    } catch (e) {
+      // Empty or partially written line.
+    }
+  }
+  return events
+}
+
+/** Funnel step of a tracker event: quartiles are sent as audio_* or video_*. */
+function funnelStep(event: string): FunnelStep | null {
+  if (event === 'loaded_imp') {
+    return 'impression'
+  }
+  if (event === 'click') {
+    return 'click'
+  }
+  const quartile = event.replace(/^(audio|video)_/, '')
+  return quartile !== event && (FUNNEL_STEPS as readonly string[]).includes(quartile)
+    ? (quartile as FunnelStep)
+    : null
+}
+
+/** Counts the funnel steps per value of a dimension, most impressions first. */
+export function funnel(events: TrackedEvent[], dimension: Dimension): FunnelRow[] {
+  const rows = new Map<string, FunnelRow>()
+  for (const event of events) {
+    const step = funnelStep(event.event)
+    if (!step) {
+      continue
+    }
+    const key = event.params[dimension] ?? '(none)'
+    let row = rows.get(key)
+    if (!row) {
+      row = {
+        key,
+        counts: Object.fromEntries(FUNNEL_STEPS.map((s) => [s, 0])) as FunnelRow['counts'],
+      }
+      rows.set(key, row)
+    }
+    row.counts[step]++
+  }
+  return Array.from(rows.values()).sort(
+    (a, b) => b.counts.impression - a.counts.impression
+  )
+}
+
+/**
+ * Counts the clicks by position (p_p, "x_y" in percent of the screen) on a
+ * HEATMAP_SIZE × HEATMAP_SIZE grid, indexed [y][x]. Only the click of the
+ * tracker redirection is counted: the cta_click interaction sent for the
+ * same click would count it twice, and the other interactions (mute,
+ * expand, skip...) are left out.
+ */
+export function clickHeatmap(events: TrackedEvent[]) {
+  const grid = Array.from({ length: HEATMAP_SIZE }, () =>
+    new Array<number>(HEATMAP_SIZE).fill(0)
+  )
+  for (const event of events) {
+    if (event.event !== 'click') {
+      continue
+    }
+    const [x, y] = (event.params.p ?? '').split('_').map(Number)
+    // 0_0 is sent when the screen size is unknown.
+    if (!(x > 0 || y > 0) || x > 100 || y > 100) {
+      continue
+    }
+    const cell = (value: number) =>
+      Math.min(HEATMAP_SIZE - 1, Math.floor((value * HEATMAP_SIZE) / 100))
+    grid[cell(y)][cell(x)]++
+  }
+  return grid
+}
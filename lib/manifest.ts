@@ -0,0 +1,289 @@
+// Dealership manifest consumed by public/script_audi.js. The checks below
+// mirror VpaidVideoPlayer.MANIFEST_SCHEMA_ so that what the admin exports is
+// what the player accepts.
+
+// The same audio in one codec and bitrate (kbps).
+export type Rendition = {
+  url: string
+  mimetype?: string
+  bitrate?: number
+}
+
+// A url, or renditions the player picks from for the desired bitrate.
+export type AudioSource = string | Rendition[]
+
+// Flight and day-part in the local time of the user, see
+// VpaidVideoPlayer.SCHEDULE_SCHEMA_: YYYY-MM-DD dates (end day included) or
+// ISO date-times, days of the week (0 is Sunday) and [from, to) hours.
+export type Schedule = {
+  start?: string
+  end?: string
+  days?: number[]
+  hours?: [number, number]
+}
+
+export type Dealership = {
+  c: string
+  poi: string
+  lom1: AudioSource
+  lom2: AudioSource
+  lom3: AudioSource
+  // Short dealership tag played between the campaign intro and outro.
+  tag?: AudioSource
+  // Shown in the companion banner.
+  address?: string
+  hours?: string
+  mapImage?: string
+  // Dealer page the clicks land on, tagged with UTM parameters by the player.
+  landingUrl?: string
+  // Pixels called by the tracker on click.
+  clickPixels?: string[]
+  // The dealership is only matched within its schedule.
+  schedule?: Schedule
+  // Schedules of its audios, over the ones of the manifest.
+  schedules?: Partial<Record<DealershipScheduledAudio, Schedule>>
+}
+
+// Same shape as the config AdParameter read by createEvent.
+export type TrackerConfig = {
+  macro: {
+    url: string
+    timestamp?: string
+    gClick?: string
+  }
+}
+
+export type Manifest = {
+  campaign: string
+  // Call to action label of the companion banner.
+  cta?: string
+  // utm_source and utm_medium of the landing urls.
+  utm?: { source?: string; medium?: string }
+  defaultAudio?: AudioSource
+  // Shared parts of the audio stitched around the dealership tags.
+  intro?: AudioSource
+  outro?: AudioSource
+  schedules?: Partial<Record<ManifestScheduledAudio, Schedule>>
+  maxRadius?: number
+  config?: TrackerConfig
+  dealerships: Dealership[]
+}
+
+export const AUDIO_VARIANTS = ['lom1', 'lom2', 'lom3'] as const
+
+type DealershipScheduledAudio = (typeof AUDIO_VARIANTS)[number] | 'tag'
+
+type ManifestScheduledAudio =
+  | (typeof AUDIO_VARIANTS)[number]
+  | 'defaultAudio'
+  | 'intro'
+  | 'outro'
+
+const DEALERSHIP_SCHEDULED_AUDIOS = [...AUDIO_VARIANTS, 'tag']
+
+const MANIFEST_SCHEDULED_AUDIOS = [...AUDIO_VARIANTS, 'defaultAudio', 'intro', 'outro']
+
+export const COMPANION_FIELDS = ['address', 'hours', 'mapImage'] as const
+
+// Optional url fields of a dealership, besides the audios.
+const URL_FIELDS = ['mapImage', 'landingUrl'] as const
+
+const GEOHASH = /^[0-9b-hjkmnp-z]{1,12}$/
+const HTTP_URL = /^https?:\/\//
+const SCHEDULE_DATE = /^\d{4}-\d{2}-\d{2}/
+
+export function validateAudioSource(value: unknown, path: string) {
+  if (typeof value === 'string') {
+    return HTTP_URL.test(value) ? [] : [`${path} should be an http(s) url`]
+  }
+  if (!Array.isArray(value) || value.length === 0) {
+    return [`${path} should be an http(s) url or a list of renditions`]
+  }
+  const errors: string[] = []
+  value.forEach((rendition: Partial<Record<keyof Rendition, unknown>> | null, i) => {
+    if (typeof rendition?.url !== 'string' || !HTTP_URL.test(rendition.url)) {
+      errors.push(`${path}[${i}].url should be an http(s) url`)
+    }
+    if (rendition?.mimetype !== undefined && typeof rendition.mimetype !== 'string') {
+      errors.push(`${path}[${i}].mimetype should be of type string`)
+    }
+    if (rendition?.bitrate !== undefined && typeof rendition.bitrate !== 'number') {
+      errors.push(`${path}[${i}].bitrate should be of type number`)
+    }
+  })
+  return errors
+}
+
+export function validateSchedule(value: unknown, path: string) {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    return [`${path} should be of type object`]
+  }
+  const schedule = value as Record<string, unknown>
+  const errors: string[] = []
+  for (const field of ['start', 'end']) {
+    const date = schedule[field]
+    if (date !== undefined &&
+        (typeof date !== 'string' || !SCHEDULE_DATE.test(date) || isNaN(Date.parse(date)))) {
+      errors.push(`${path}.${field} should be a YYYY-MM-DD date or an ISO date-time`)
+    }
+  }
+  if (schedule.days !== undefined &&
+      (!Array.isArray(schedule.days) ||
+        schedule.days.some((day) => !Number.isInteger(day) || day < 0 || day > 6))) {
+    errors.push(`${path}.days should be a list of days of the week, 0 to 6`)
+  }
+  if (schedule.hours !== undefined &&
+      (!Array.isArray(schedule.hours) || schedule.hours.length !== 2 ||
+        schedule.hours.some((hour) => typeof hour !== 'number' || hour < 0 || hour > 24))) {
+    errors.push(`${path}.hours should be a [from, to] range of hours, 0 to 24`)
+  }
+  return errors
+}
+
+function validateSchedules(value: unknown, audios: readonly string[], path: string) {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    return [`${path} should be of type object`]
+  }
+  const errors: string[] = []
+  for (const [audio, schedule] of Object.entries(value)) {
+    if (!audios.includes(audio)) {
+      errors.push(`${path}.${audio} is not one of ${audios.join(', ')}`)
+    } else {
+      errors.push(...validateSchedule(schedule, `${path}.${audio}`))
+    }
+  }
+  return errors
+}
+
+export function validateDealership(value: unknown, path = 'dealership') {
+  const errors: string[] = []
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    return [`${path} should be of type object`]
+  }
+  const dealership = value as Record<string, unknown>
+  if (typeof dealership.c !== 'string' || dealership.c.trim() === '') {
+    errors.push(`${path}.c should be a non-empty string`)
+  }
+  if (typeof dealership.poi !== 'string' || !GEOHASH.test(dealership.poi)) {
+    errors.push(`${path}.poi should be a geohash`)
+  }
+  for (const variant of AUDIO_VARIANTS) {
+    errors.push(...validateAudioSource(dealership[variant], `${path}.${variant}`))
+  }
+  if (dealership.tag !== undefined) {
+    errors.push(...validateAudioSource(dealership.tag, `${path}.tag`))
+  }
+  for (const field of COMPANION_FIELDS) {
+    if (dealership[field] !== undefined && typeof dealership[field] !== 'string') {
+      errors.push(`${path}.${field} should be of type string`)
+    }
+  }
+  for (const field of URL_FIELDS) {
+    if (dealership[field] !== undefined && !HTTP_URL.test(String(dealership[field]))) {
+      errors.push(`${path}.${field} should be an http(s) url`)
+    }
+  }
+  if (dealership.clickPixels !== undefined &&
+      (!Array.isArray(dealership.clickPixels) ||
+        dealership.clickPixels.some((url) => typeof url !== 'string' || !HTTP_URL.test(url)))) {
+    errors.push(`${path}.clickPixels should be a list of http(s) urls`)
+  }
+  if (dealership.schedule !== undefined) {
+    errors.push(...validateSchedule(dealership.schedule, `${path}.schedule`))
+  }
+  if (dealership.schedules !== undefined) {
+    errors.push(...validateSchedules(
+      dealership.schedules, DEALERSHIP_SCHEDULED_AUDIOS, `${path}.schedules`))
+  }
+  return errors
+}
+
+export function validateManifest(value: unknown) {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    return ['manifest should be of type object']
+  }
+  const manifest = value as Record<string, unknown>
+  const errors: string[] = []
+  for (const field of ['defaultAudio', 'intro', 'outro']) {
+    if (manifest[field] !== undefined) {
+      errors.push(...validateAudioSource(manifest[field], `manifest.${field}`))
+    }
+  }
+  if (manifest.cta !== undefined && typeof manifest.cta !== 'string') {
+    errors.push('manifest.cta should be of type string')
+  }
+  if (manifest.utm !== undefined) {
+    const utm = manifest.utm as Record<string, unknown> | null
+    if (typeof utm !== 'object' || utm === null ||
+        ['source', 'medium'].some((key) => utm[key] !== undefined && typeof utm[key] !== 'string')) {
+      errors.push('manifest.utm should be an object of strings')
+    }
+  }
+  if (manifest.schedules !== undefined) {
+    errors.push(...validateSchedules(
+      manifest.schedules, MANIFEST_SCHEDULED_AUDIOS, 'manifest.schedules'))
+  }
+  if (manifest.maxRadius !== undefined && typeof manifest.maxRadius !== 'number') {
+    errors.push('manifest.maxRadius should be of type number')
+  }
+  if (manifest.config !== undefined) {
+    const config = manifest.config as TrackerConfig | null
+    if (typeof config?.macro?.url !== 'string' || !HTTP_URL.test(config.macro.url)) {
+      errors.push('manifest.config.macro.url should be an http(s) url')
+    }
+  }
+  if (!Array.isArray(manifest.dealerships) || manifest.dealerships.length === 0) {
+    errors.push('manifest.dealerships should have at least 1 item(s)')
+    return errors
+  }
+  manifest.dealerships.forEach((dealership, i) => {
+    errors.push(...validateDealership(dealership, `manifest.dealerships[${i}]`))
+  })
+  return errors
+}
+
+function toAudioSource(value: unknown): AudioSource {
+  if (!Array.isArray(value)) {
+    return String(value ?? '').trim()
+  }
+  return value.map((rendition) => ({
+    url: String(rendition?.url ?? '').trim(),
+    ...(rendition?.mimetype && { mimetype: String(rendition.mimetype) }),
+    ...(rendition?.bitrate !== undefined && { bitrate: rendition.bitrate }),
+  }))
+}
+
+/**
+ * Keeps only the manifest fields of a dealership sent by a client. Empty
+ * optional fields are dropped.
+ */
+export function toDealership(value: Record<string, unknown>): Dealership {
+  const dealership: Dealership = {
+    c: String(value.c ?? '').trim(),
+    poi: String(value.poi ?? '').trim().toLowerCase(),
+    lom1: toAudioSource(value.lom1),
+    lom2: toAudioSource(value.lom2),
+    lom3: toAudioSource(value.lom3),
+  }
+  const tag = toAudioSource(value.tag)
+  if (tag.length > 0) {
+    dealership.tag = tag
+  }
+  for (const field of [...COMPANION_FIELDS, 'landingUrl'] as const) {
+    const fieldValue = String(value[field] ?? '').trim()
+    if (fieldValue) {
+      dealership[field] = fieldValue
+    }
+  }
+  if (Array.isArray(value.clickPixels) && value.clickPixels.length > 0) {
+    dealership.clickPixels = value.clickPixels.map((url) => String(url).trim())
+  }
+  // Schedules are not edited in the admin, they are kept as sent.
+  if (value.schedule) {
+    dealership.schedule = value.schedule as Schedule
+  }
+  if (value.schedules) {
+    dealership.schedules = value.schedules as Dealership['schedules']
+  }
+  return dealership
+}
@@ -0,0 +1,17 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { isTrackerUrl } from './vast'
+
+test('isTrackerUrl accepts an absolute http(s) url', () => {
+  assert.equal(isTrackerUrl('https://tracker.example/track/a/b/click?r=x'), true)
+})
+
+test('isTrackerUrl rejects a url passing the scheme check but not parsable', () => {
+  assert.equal(isTrackerUrl('https://exa mple.com/click'), false)
+  assert.equal(isTrackerUrl('https://[::1/click'), false)
+})
+
+test('isTrackerUrl rejects relative and non http urls', () => {
+  assert.equal(isTrackerUrl('/api/track/a/click'), false)
+  assert.equal(isTrackerUrl('javascript:alert(1)'), false)
+})
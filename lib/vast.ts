@@ -0,0 +1,139 @@
+import type { AudioSource, TrackerConfig } from './manifest'
+
+export type VastVersion = '3.0' | '4.1'
+
+export type VastOptions = {
+  version: VastVersion
+  campaign: string
+  scriptUrl: string
+  audio?: AudioSource
+  poi?: string
+  config: TrackerConfig
+  cc?: string
+  // Forces an audio variant instead of the campaign rotation.
+  variant?: string
+  // Seconds after which the player shows its skip button.
+  skipOffset?: number
+  // 'audio' for audio players: the player plays an <audio> element.
+  mode?: 'audio'
+  // GDPR applicability (0 or 1) and TCF consent string of the request.
+  gdpr?: string
+  gdprConsent?: string
+}
+
+// Demo tracker the player already falls back to in studio mode.
+export const DEMO_TRACKER_URL =
+  'https://tracker.adotmob.com/track/ADOTMOB_ID/CAMPAIGN_ID/click?b=BID&c=v2&idfa=IDFA&ex=a&offer=CAMPAIGN_ID&r=https%3A%2F%2Fadotmob.com&test=studio'
+
+const QUARTILES = ['start', 'firstQuartile', 'midpoint', 'thirdQuartile', 'complete']
+
+/**
+ * Click url of the local collector (/api/track), redirecting to the landing
+ * page of the campaign tracker.
+ */
+export function localTrackerUrl(origin: string, campaign: string, clickUrl = DEMO_TRACKER_URL) {
+  const landing = new URL(clickUrl).searchParams.get('r') ?? 'https://adotmob.com'
+  return `${origin}/api/track/${campaign}/click?r=${encodeURIComponent(landing)}`
+}
+
+/** Whether a tracker click url is an absolute http(s) url trackerEventUrl can parse. */
+export function isTrackerUrl(url: string) {
+  if (!/^https?:\/\/[^/]/.test(url)) {
+    return false
+  }
+  try {
+    new URL(url)
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Builds the url of a tracker event from the click url, the same way
+ * createEvent does: /click becomes /<eventName> and the redirection, offer
+ * and call[n] pixels are dropped.
+ */
+export function trackerEventUrl(clickUrl: string, eventName: string) {
+  const url = new URL(clickUrl)
+  url.pathname = url.pathname.replace(/\/click$/, `/${eventName}`)
+  for (const key of Array.from(url.searchParams.keys())) {
+    if (key === 'r' || key === 'offer' || key.startsWith('call[')) {
+      url.searchParams.delete(key)
+    }
+  }
+  return url.toString()
+}
+
+function cdata(value: string) {
+  return `<![CDATA[${value.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`
+}
+
+function escapeAttribute(value: string) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+}
+
+/** AdParameters parsed by VpaidVideoPlayer.initAd. */
+export function buildAdParameters(options: VastOptions) {
+  return {
+    videos:
+      typeof options.audio === 'string'
+        ? [{ url: options.audio, mimetype: 'audio/mpeg' }]
+        : options.audio ?? [],
+    poi: encodeURIComponent(JSON.stringify(options.poi ? { id: options.poi } : {})),
+    config: options.config,
+    cc: options.cc ?? '',
+    ...(options.skipOffset !== undefined && { skipOffset: options.skipOffset }),
+    ...(options.mode && { mode: options.mode }),
+    ...(options.gdpr !== undefined && { gdpr: Number(options.gdpr) }),
+    ...(options.gdprConsent !== undefined && { gdpr_consent: options.gdprConsent }),
+    ...(options.variant && {
+      rotation: { strategy: 'fixed', variant: options.variant },
+    }),
+  }
+}
+
+export function buildVast(options: VastOptions) {
+  const tracker = options.config.macro.url
+  const adId = escapeAttribute(options.campaign)
+  const isVast4 = options.version.startsWith('4')
+  const errorUrl = trackerEventUrl(tracker, 'error')
+  const tracking = QUARTILES.map(
+    (event) =>
+      `              <Tracking event="${event}">${cdata(trackerEventUrl(tracker, event))}</Tracking>`
+  ).join('\n')
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<VAST version="${options.version}">
+  <Ad id="${adId}"${isVast4 && options.mode === 'audio' ? ' adType="audio"' : ''}>
+    <InLine>
+      <AdSystem>script_js</AdSystem>
+      <AdTitle>${cdata(options.campaign)}</AdTitle>${
+        isVast4 ? `\n      <AdServingId>${cdata(`${options.campaign}-${Date.now()}`)}</AdServingId>` : ''
+      }
+      <Error>${cdata(`${errorUrl}${errorUrl.includes('?') ? '&' : '?'}p_code=[ERRORCODE]`)}</Error>
+      <Impression>${cdata(trackerEventUrl(tracker, 'impression'))}</Impression>
+      <Creatives>
+        <Creative id="${adId}">${
+          isVast4 ? `\n          <UniversalAdId idRegistry="script_js">${adId}</UniversalAdId>` : ''
+        }
+          <Linear>
+            <Duration>00:00:30</Duration>
+            <TrackingEvents>
+${tracking}
+            </TrackingEvents>
+            <AdParameters xmlEncoded="false">${cdata(JSON.stringify(buildAdParameters(options)))}</AdParameters>
+            <MediaFiles>
+              <MediaFile delivery="progressive" type="application/javascript" apiFramework="VPAID" width="640" height="360">${cdata(options.scriptUrl)}</MediaFile>
+            </MediaFiles>
+          </Linear>
+        </Creative>
+      </Creatives>
+    </InLine>
+  </Ad>
+</VAST>
+`
+}
@@ -0,0 +1,25 @@
+import { createHash } from 'crypto'
+import { promises as fs } from 'fs'
+import path from 'path'
+import { CampaignError, getCampaign } from './campaigns'
+import { validateManifest } from './manifest'
+
+const RUNTIME_FILE = path.join(process.cwd(), 'public', 'script_audi.js')
+
+/**
+ * Builds the VPAID script of a campaign: the VpaidVideoPlayer runtime followed
+ * by the campaign defaults the player merges under AdParameters in initAd.
+ */
+export async function buildVpaidScript(campaign: string) {
+  const { config, ...manifest } = await getCampaign(campaign)
+  const errors = validateManifest(manifest)
+  if (errors.length > 0) {
+    throw new CampaignError(errors.join('; '), 422)
+  }
+  const runtime = await fs.readFile(RUNTIME_FILE, 'utf8')
+  const defaults = config ? { manifest, config } : { manifest }
+  const body =
+    `${runtime}\n\nVpaidVideoPlayer.CAMPAIGN_ = ${JSON.stringify(defaults)};\n`
+  const etag = `"${createHash('sha1').update(body).digest('base64url')}"`
+  return { body, etag }
+}
@@ -19,8 +19,8 @@ var VpaidVideoPlayer = function() {
   
     /**
      * An object containing all registered events.  These events are all
-     * callbacks for use by the VPAID ad.
-     * @type {Object}
+     * callbacks for use by the VPAID ad, several per event name.
+     * @type {Object<string, Array<{callback: Function, context: Object}>>}
      * @private
      */
     this.eventsCallbacks_ = {};
@@ -58,11 +58,11 @@ var VpaidVideoPlayer = function() {
      */
     this.quartileEvents_ = [
       // {event: 'AdImpression', value: 0},
-      {event: 'AdVideoStart', value: 0},
-      {event: 'AdVideoFirstQuartile', value: 25},
-      {event: 'AdVideoMidpoint', value: 50},
-      {event: 'AdVideoThirdQuartile', value: 75},
-      {event: 'AdVideoComplete', value: 100}
+      {event: 'AdVideoStart', value: 0, tracking: 'start'},
+      {event: 'AdVideoFirstQuartile', value: 25, tracking: 'first_quartile'},
+      {event: 'AdVideoMidpoint', value: 50, tracking: 'midpoint'},
+      {event: 'AdVideoThirdQuartile', value: 75, tracking: 'third_quartile'},
+      {event: 'AdVideoComplete', value: 100, tracking: 'complete'}
     ];
   
     /**
@@ -78,119 +78,1630 @@ var VpaidVideoPlayer = function() {
      * @private
      */
     this.parameters_ = {};
+
+    /**
+     * Settings used to match the incoming POI against the dealerships.
+     * maxRadius is in kilometers, defaultAudio is played when no dealership
+     * is close enough. Both can be overridden from AdParameters.
+     * @type {Object}
+     * @private
+     */
+    this.geoConfig_ = {
+      'maxRadius': 50,
+      'defaultAudio': 'https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3'
+    };
+
+    /**
+     * The validated dealership manifest (city, geohash and audio variants),
+     * inlined in AdParameters or loaded from AdParameters.manifestUrl.
+     * @type {?Object}
+     * @private
+     */
+    this.manifest_ = null;
+
+    /**
+     * The audio variant (lom1, lom2 or lom3) chosen when the manifest is
+     * loaded, null when none is scheduled.
+     * @type {?string}
+     * @private
+     */
+    this.variant_ = null;
+
+    /**
+     * The tracker event handler created in startAd.
+     * @type {?Object}
+     * @private
+     */
+    this.events_ = null;
+
+    /**
+     * Lifecycle state of the ad, see ALLOWED_STATES_.
+     * @type {string}
+     * @private
+     */
+    this.state_ = 'created';
+
+    /**
+     * Listeners added to the video slot, removed when the ad stops.
+     * @type {Object<string, Function>}
+     * @private
+     */
+    this.videoListeners_ = {};
+
+    /**
+     * The manifest entry matching AdParameters.poi, null when the default
+     * audio is played.
+     * @type {?Object}
+     * @private
+     */
+    this.dealership_ = null;
+
+    /**
+     * Element the companion was rendered into, if any.
+     * @type {?Element}
+     * @private
+     */
+    this.companionContainer_ = null;
+
+    /**
+     * Countdown and skip button rendered in the slot when
+     * AdParameters.skipOffset is set.
+     * @type {?Element}
+     * @private
+     */
+    this.skipElement_ = null;
+
+    /**
+     * Controls overlay (dealership, mute, progress bar and CTA) rendered in
+     * the slot.
+     * @type {?Element}
+     * @private
+     */
+    this.controlsElement_ = null;
+
+    /**
+     * Visual shown in the slot in audio mode: an image, an animation or the
+     * companion banner.
+     * @type {?Element}
+     * @private
+     */
+    this.visualElement_ = null;
+
+    /**
+     * Dealership layout shown over the slot while the ad is expanded.
+     * @type {?Element}
+     * @private
+     */
+    this.expandedElement_ = null;
+
+    /**
+     * Size, view mode and slot style restored by collapse_, set while the ad
+     * is expanded.
+     * @type {?{width: number, height: number, viewMode: string,
+     *     slotStyle: string}}
+     * @private
+     */
+    this.collapsedState_ = null;
+
+    /**
+     * Element requested fullscreen by expand_: the slot, or the iframe
+     * hosting it.
+     * @type {?Element}
+     * @private
+     */
+    this.fullscreenElement_ = null;
+
+    /**
+     * Document listeners added while the ad is expanded (fullscreenchange,
+     * Escape key).
+     * @type {!Array<{target: !EventTarget, type: string, listener: !Function}>}
+     * @private
+     */
+    this.expandListeners_ = [];
+
+    /**
+     * Renditions of the audio being played, best match first. The next one is
+     * tried when the media element fails.
+     * @type {!Array<!Object>}
+     * @private
+     */
+    this.renditions_ = [];
+
+    /**
+     * Index in renditions_ of the rendition being played.
+     * @type {number}
+     * @private
+     */
+    this.renditionIndex_ = 0;
+
+    /**
+     * Timer failing the rendition being loaded or stalled, see watch_.
+     * @type {?number}
+     * @private
+     */
+    this.watchdogId_ = null;
+
+    /**
+     * Whether the impression was reported, once the audio actually plays.
+     * @type {boolean}
+     * @private
+     */
+    this.impressionFired_ = false;
+
+    /**
+     * Segments {url, duration} of the stitched audio (intro, dealership tag,
+     * outro) played in sequence, null when a variant is played.
+     * @type {?Array<!Object>}
+     * @private
+     */
+    this.segments_ = null;
+
+    /**
+     * Index in segments_ of the segment being played.
+     * @type {number}
+     * @private
+     */
+    this.segmentIndex_ = 0;
+
+    /**
+     * VAST error code of the last failure, for the [ERRORCODE] macro.
+     * @type {?number}
+     * @private
+     */
+    this.errorCode_ = null;
+
+    /**
+     * GDPR consent, from the CMP (__tcfapi) or from the gdpr and
+     * gdpr_consent AdParameters. purposes and legitimateInterests are
+     * indexed by TCF purpose id. pending is set while a CMP is found but the
+     * user has not decided yet.
+     * @type {{gdprApplies: ?boolean, pending: boolean, tcString: string,
+     *     purposes: !Object<number, boolean>,
+     *     legitimateInterests: !Object<number, boolean>}}
+     * @private
+     */
+    this.consent_ = {
+      gdprApplies: null,
+      pending: false,
+      tcString: '',
+      purposes: {},
+      legitimateInterests: {}
+    };
+
+    /**
+     * Stops listening to the CMP, set while listening.
+     * @type {?function()}
+     * @private
+     */
+    this.removeCmpListener_ = null;
+
+    /**
+     * The last MAX_ERRORS_ errors of the ad, oldest first, for debugging.
+     * @type {!Array<{time: number, code: number, message: string,
+     *     method: string, state: string, fatal: boolean}>}
+     * @private
+     */
+    this.errors_ = [];
+  };
+
+
+  /**
+   * States in which each VPAID method can be called. The ad goes through
+   * created -> loading (initAd) -> initialized (AdLoaded) -> started ->
+   * playing/paused -> stopped. Calls outside of these states are ignored.
+   * @type {Object<string, Array<string>>}
+   * @private
+   */
+  VpaidVideoPlayer.ALLOWED_STATES_ = {
+    'initAd': ['created'],
+    'startAd': ['initialized'],
+    'pauseAd': ['started', 'playing'],
+    'resumeAd': ['paused'],
+    'stopAd': ['created', 'loading', 'initialized', 'started', 'playing', 'paused'],
+    'skipAd': ['started', 'playing', 'paused'],
+    'resizeAd': ['created', 'loading', 'initialized', 'started', 'playing', 'paused'],
+    // The media element is only there once initAd is called.
+    'setAdVolume': ['loading', 'initialized', 'started', 'playing', 'paused'],
+    'expandAd': ['initialized', 'started', 'playing', 'paused'],
+    'collapseAd': ['initialized', 'started', 'playing', 'paused']
+  };
+
+
+  /**
+   * The audio variants of a dealership, in story order.
+   * @type {Array<string>}
+   * @private
+   */
+  VpaidVideoPlayer.VARIANTS_ = ['lom1', 'lom2', 'lom3'];
+
+
+  /**
+   * An audio of the manifest: a url, or renditions of the same audio in
+   * several codecs and bitrates (kbps).
+   * @type {!Object}
+   * @private
+   */
+  VpaidVideoPlayer.AUDIO_SCHEMA_ = {
+    anyOf: [
+      {type: 'string', format: 'url'},
+      {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['url'],
+          properties: {
+            url: {type: 'string', format: 'url'},
+            mimetype: {type: 'string'},
+            bitrate: {type: 'number'}
+          }
+        }
+      }
+    ]
+  };
+
+
+  /**
+   * Flight and day-part of a dealership or an audio, in the local time of the
+   * user: start and end dates (YYYY-MM-DD, the whole end day included, or
+   * ISO date-times), days of the week (0 is Sunday) and a [from, to) range of
+   * hours, wrapping past midnight when from is after to.
+   * @type {!Object}
+   * @private
+   */
+  VpaidVideoPlayer.SCHEDULE_SCHEMA_ = {
+    type: 'object',
+    properties: {
+      start: {type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}'},
+      end: {type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}'},
+      days: {type: 'array', items: {type: 'number'}},
+      hours: {type: 'array', minItems: 2, items: {type: 'number'}}
+    }
+  };
+
+
+  /**
+   * Mimetypes of the renditions without one, by file extension.
+   * @type {!Object<string, string>}
+   * @private
+   */
+  VpaidVideoPlayer.MIMETYPES_ = {
+    'mp3': 'audio/mpeg',
+    'aac': 'audio/aac',
+    'm4a': 'audio/mp4',
+    'mp4': 'audio/mp4',
+    'ogg': 'audio/ogg',
+    'oga': 'audio/ogg',
+    'opus': 'audio/ogg; codecs="opus"'
+  };
+
+
+  /**
+   * VAST error codes of the MediaError codes of the media element.
+   * @type {!Object<number, number>}
+   * @private
+   */
+  VpaidVideoPlayer.MEDIA_ERROR_CODES_ = {
+    1: 400, // MEDIA_ERR_ABORTED: general linear error
+    2: 401, // MEDIA_ERR_NETWORK: file not found
+    3: 405, // MEDIA_ERR_DECODE: problem displaying the media file
+    4: 403  // MEDIA_ERR_SRC_NOT_SUPPORTED: no supported media file
+  };
+
+
+  /**
+   * Time in ms a rendition has to be ready to play before the next one is
+   * tried (VAST error 402).
+   * @type {number}
+   * @private
+   */
+  VpaidVideoPlayer.PRELOAD_TIMEOUT_ = 8000;
+
+
+  /**
+   * Time in ms playback may wait for data before the next rendition is tried.
+   * @type {number}
+   * @private
+   */
+  VpaidVideoPlayer.STALL_TIMEOUT_ = 5000;
+
+
+  /**
+   * Number of errors kept in errors_.
+   * @type {number}
+   * @private
+   */
+  VpaidVideoPlayer.MAX_ERRORS_ = 20;
+
+
+  /**
+   * VPAID methods guarded against exceptions, see guarded_.
+   * @type {!Array<string>}
+   * @private
+   */
+  VpaidVideoPlayer.ENTRY_POINTS_ = [
+    'handshakeVersion', 'initAd', 'startAd', 'stopAd', 'skipAd', 'resizeAd',
+    'pauseAd', 'resumeAd', 'expandAd', 'collapseAd', 'setAdVolume',
+    'getAdVolume', 'getAdExpanded', 'getAdSkippableState', 'getAdWidth',
+    'getAdHeight', 'getAdRemainingTime', 'getAdDuration', 'getAdCompanions',
+    'getAdIcons', 'getAdLinear', 'subscribe', 'unsubscribe'
+  ];
+
+
+  /**
+   * An error of the ad with its VAST error code. Thrown from a VPAID method,
+   * it is reported by exception_ with this code instead of 901.
+   * @param {number} code VAST error code.
+   * @param {string} message
+   * @constructor
+   * @extends {Error}
+   * @private
+   */
+  VpaidVideoPlayer.AdError_ = function(code, message) {
+    this.name = 'AdError';
+    this.code = code;
+    this.message = message;
+  };
+  VpaidVideoPlayer.AdError_.prototype = Object.create(Error.prototype);
+  VpaidVideoPlayer.AdError_.prototype.constructor = VpaidVideoPlayer.AdError_;
+
+
+  /**
+   * Wraps a method so that an exception it throws is reported with AdError
+   * and a VAST error code (see exception_) instead of reaching the caller.
+   * @param {string} name Name of the method, kept with the error.
+   * @param {!Function} method
+   * @return {!Function} Called with the ad as this.
+   * @private
+   */
+  VpaidVideoPlayer.guarded_ = function(name, method) {
+    return function() {
+      try {
+        return method.apply(this, arguments);
+      } catch (e) {
+        this.exception_(e, name);
+      }
+    };
+  };
+
+
+  /**
+   * TCF purpose: store or access information on a device.
+   * @type {number}
+   * @private
+   */
+  VpaidVideoPlayer.PURPOSE_STORAGE_ = 1;
+
+
+  /**
+   * TCF purpose: measure ad performance.
+   * @type {number}
+   * @private
+   */
+  VpaidVideoPlayer.PURPOSE_MEASUREMENT_ = 7;
+
+
+  /**
+   * Subset of JSON schema the dealership manifest is validated against.
+   * Supports type, required, properties, items, minItems, pattern, anyOf
+   * (alternatives of different types) and the url format.
+   * @type {Object}
+   * @private
+   */
+  VpaidVideoPlayer.MANIFEST_SCHEMA_ = {
+    type: 'object',
+    required: ['dealerships'],
+    properties: {
+      campaign: {type: 'string'},
+      cta: {type: 'string'},
+      utm: {
+        type: 'object',
+        properties: {
+          source: {type: 'string'},
+          medium: {type: 'string'}
+        }
+      },
+      defaultAudio: VpaidVideoPlayer.AUDIO_SCHEMA_,
+      intro: VpaidVideoPlayer.AUDIO_SCHEMA_,
+      outro: VpaidVideoPlayer.AUDIO_SCHEMA_,
+      schedules: {
+        type: 'object',
+        properties: {
+          defaultAudio: VpaidVideoPlayer.SCHEDULE_SCHEMA_,
+          intro: VpaidVideoPlayer.SCHEDULE_SCHEMA_,
+          outro: VpaidVideoPlayer.SCHEDULE_SCHEMA_,
+          lom1: VpaidVideoPlayer.SCHEDULE_SCHEMA_,
+          lom2: VpaidVideoPlayer.SCHEDULE_SCHEMA_,
+          lom3: VpaidVideoPlayer.SCHEDULE_SCHEMA_
+        }
+      },
+      maxRadius: {type: 'number'},
+      dealerships: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['c', 'poi', 'lom1', 'lom2', 'lom3'],
+          properties: {
+            c: {type: 'string'},
+            poi: {type: 'string', pattern: '^[0-9b-hjkmnp-z]{1,12}$'},
+            lom1: VpaidVideoPlayer.AUDIO_SCHEMA_,
+            lom2: VpaidVideoPlayer.AUDIO_SCHEMA_,
+            lom3: VpaidVideoPlayer.AUDIO_SCHEMA_,
+            tag: VpaidVideoPlayer.AUDIO_SCHEMA_,
+            address: {type: 'string'},
+            hours: {type: 'string'},
+            mapImage: {type: 'string', format: 'url'},
+            landingUrl: {type: 'string', format: 'url'},
+            clickPixels: {
+              type: 'array',
+              items: {type: 'string', format: 'url'}
+            },
+            schedule: VpaidVideoPlayer.SCHEDULE_SCHEMA_,
+            schedules: {
+              type: 'object',
+              properties: {
+                lom1: VpaidVideoPlayer.SCHEDULE_SCHEMA_,
+                lom2: VpaidVideoPlayer.SCHEDULE_SCHEMA_,
+                lom3: VpaidVideoPlayer.SCHEDULE_SCHEMA_,
+                tag: VpaidVideoPlayer.SCHEDULE_SCHEMA_
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+
+
+  /**
+   * Campaign defaults (manifest, tracker config) injected when the script is
+   * served by /api/vpaid/[campaign]. Merged under AdParameters in initAd.
+   * @type {?Object}
+   * @private
+   */
+  VpaidVideoPlayer.CAMPAIGN_ = null;
+  
+  
+  /**
+   * VPAID defined init ad, initializes all attributes in the ad.  The ad will
+   * not start until startAd is called.
+   *
+   * @param {number} width The ad width.
+   * @param {number} height The ad heigth.
+   * @param {string} viewMode The ad view mode.
+   * @param {number} desiredBitrate The desired bitrate.
+   * @param {Object} creativeData Data associated with the creative.
+   * @param {Object} environmentVars Variables associated with the creative like
+   *     the slot and video slot.
+   */
+  VpaidVideoPlayer.prototype.initAd = function(
+      width,
+      height,
+      viewMode,
+      desiredBitrate,
+      creativeData,
+      environmentVars) {
+    if (!this.checkState_('initAd')) {
+      return;
+    }
+    this.state_ = 'loading';
+    // slot and videoSlot are passed as part of the environmentVars
+    this.attributes_['width'] = width;
+    this.attributes_['height'] = height;
+    this.attributes_['viewMode'] = viewMode;
+    this.attributes_['desiredBitrate'] = desiredBitrate;
+    this.slot_ = environmentVars.slot;
+    this.videoSlot_ = environmentVars.videoSlot;
+  
+    // Parse the incoming parameters.
+    this.parameters_ = this.parseJson_(
+        creativeData['AdParameters'] || '{}', 'AdParameters');
+    var campaign = VpaidVideoPlayer.CAMPAIGN_ || {};
+    for (var key in campaign) {
+      if (!(key in this.parameters_)) {
+        this.parameters_[key] = campaign[key];
+      }
+    }
+    if (this.parameters_.maxRadius != null) {
+      this.geoConfig_['maxRadius'] = Number(this.parameters_.maxRadius);
+    }
+    if (this.parameters_.defaultAudio) {
+      this.geoConfig_['defaultAudio'] = this.parameters_.defaultAudio;
+    }
+
+    this.log('initAd ' + width + 'x' + height +
+        ' ' + viewMode + ' ' + desiredBitrate);
+    this.updateVideoSlot_();
+    if (this.parameters_.debug) {
+      window['vpaidErrors'] = this.getErrors_.bind(this);
+    }
+    this.videoListeners_ = {
+      'timeupdate': this.guard_('timeupdate', this.timeUpdateHandler_),
+      'ended': this.guard_('ended', this.videoEnded_),
+      'play': this.guard_('play', this.videoResume_),
+      'error': this.guard_('error', this.mediaError_),
+      'loadedmetadata': this.guard_('loadedmetadata', this.mediaReady_),
+      'waiting': this.guard_('waiting', this.mediaWaiting_),
+      'playing': this.guard_('playing', this.mediaPlaying_)
+    };
+    for (var type in this.videoListeners_) {
+      this.videoSlot_.addEventListener(type, this.videoListeners_[type], false);
+    }
+    this.initConsent_();
+    this.loadManifest_();
+  };
+
+
+  /**
+   * Loads the dealership manifest from AdParameters, either inlined as
+   * manifest or referenced by manifestUrl. Fires AdLoaded once a valid
+   * manifest is set, AdError otherwise: 303 without a manifest, 101 when it
+   * is invalid.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.loadManifest_ = function() {
+    if (this.parameters_.manifest) {
+      this.setManifest_(this.parameters_.manifest);
+      return;
+    }
+    if (!this.parameters_.manifestUrl) {
+      this.fail_(303, 'No dealership manifest in AdParameters');
+      return;
+    }
+    var url = this.parameters_.manifestUrl;
+    var request = new XMLHttpRequest();
+    request.open('GET', url, true);
+    request.onload = this.guard_('manifest', function() {
+      if (request.status >= 200 && request.status < 300) {
+        this.setManifest_(request.responseText);
+      } else {
+        this.fail_(303,
+            'Unable to load manifest ' + url + ' (' + request.status + ')');
+      }
+    });
+    request.onerror = this.guard_('manifest', function() {
+      this.fail_(303, 'Unable to load manifest ' + url);
+    });
+    request.send();
+  };
+
+
+  /**
+   * Validates and stores the dealership manifest.
+   * @param {Object|string} manifest The manifest or its JSON string.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.setManifest_ = function(manifest) {
+    if (typeof manifest == 'string') {
+      manifest = this.parseJson_(manifest, 'dealership manifest');
+    }
+    var errors = [];
+    this.validateSchema_(
+        manifest, VpaidVideoPlayer.MANIFEST_SCHEMA_, 'manifest', errors);
+    if (errors.length > 0) {
+      this.fail_(101, 'Invalid dealership manifest: ' + errors.join('; '));
+      return;
+    }
+    this.manifest_ = manifest;
+    // AdParameters take precedence over the manifest defaults.
+    if (manifest.maxRadius != null && this.parameters_.maxRadius == null) {
+      this.geoConfig_['maxRadius'] = manifest.maxRadius;
+    }
+    if (manifest.defaultAudio && !this.parameters_.defaultAudio) {
+      this.geoConfig_['defaultAudio'] = manifest.defaultAudio;
+    }
+    this.dealership_ = this.resolveDealership_();
+    this.preloadAudio_();
+  };
+
+
+  /**
+   * Preloads the audio of the selected variant, AdLoaded is fired once it
+   * loads. The other variants of the dealership, the campaign default audio
+   * then AdParameters.videos follow as fallbacks, see mediaError_. The
+   * stitched audio of the dealership comes first when it has one. Only the
+   * audios scheduled at this time are played.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.preloadAudio_ = function() {
+    var scheduled = this.scheduledVariants_();
+    var variant = this.selectVariant_(scheduled);
+    this.log('Audio variant ' + variant);
+    // The dealership is matched when the manifest is loaded, without one the
+    // national default audio is played.
+    var audios = [];
+    if (this.dealership_ && variant) {
+      audios.push(variant);
+      for (var i = 0; i < scheduled.length; i++) {
+        if (scheduled[i] != variant) {
+          audios.push(scheduled[i]);
+        }
+      }
+    }
+    var sources = {
+      'default': this.geoConfig_['defaultAudio'],
+      'videos': this.parameters_.videos || []
+    };
+    if (this.isScheduled_(this.audioSchedule_('defaultAudio'))) {
+      audios.push('default');
+    }
+    audios.push('videos');
+    this.renditions_ = [];
+    // Variants sharing a file are only tried once.
+    var urls = {};
+    for (var j = 0; j < audios.length; j++) {
+      var renditions = this.selectRenditions_(
+          audios[j] in sources ? sources[audios[j]] : this.dealership_[audios[j]]);
+      for (var k = 0; k < renditions.length; k++) {
+        if (urls[renditions[k].url]) {
+          continue;
+        }
+        urls[renditions[k].url] = true;
+        var rendition = {audio: audios[j]};
+        for (var key in renditions[k]) {
+          rendition[key] = renditions[k][key];
+        }
+        this.renditions_.push(rendition);
+      }
+    }
+    this.videoSlot_.setAttribute('preload', 'auto');
+    var segments = this.stitchedSegments_();
+    if (segments) {
+      this.preloadSegments_(segments);
+    } else {
+      this.preloadRenditions_();
+    }
+  };
+
+
+  /**
+   * Starts the preload of renditions_.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.preloadRenditions_ = function() {
+    if (!this.renditions_.length) {
+      this.fail_(403, 'No supported rendition of the audio');
+      return;
+    }
+    this.setRendition_(0);
+  };
+
+
+  /**
+   * Segments of the stitched audio of the dealership: the campaign intro, the
+   * dealership tag then the campaign outro, using the best rendition of each.
+   * An intro or outro out of its schedule is left out.
+   * @return {?Array<!Object>} null when the dealership has no tag scheduled
+   *     now, when the campaign has neither intro nor outro or when a segment
+   *     cannot be played.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.stitchedSegments_ = function() {
+    var manifest = this.manifest_;
+    var intro = this.isScheduled_(this.audioSchedule_('intro')) ?
+        manifest.intro : null;
+    var outro = this.isScheduled_(this.audioSchedule_('outro')) ?
+        manifest.outro : null;
+    if (!this.dealership_ || !this.dealership_.tag ||
+        !this.isScheduled_(this.audioSchedule_('tag')) || !(intro || outro)) {
+      return null;
+    }
+    var parts = [intro, this.dealership_.tag, outro];
+    var segments = [];
+    for (var i = 0; i < parts.length; i++) {
+      if (!parts[i]) {
+        continue;
+      }
+      var renditions = this.selectRenditions_(parts[i]);
+      if (!renditions.length) {
+        return null;
+      }
+      segments.push({url: renditions[0].url, duration: 0});
+    }
+    return segments;
+  };
+
+
+  /**
+   * Preloads every segment in its own element to verify it and read its
+   * duration, so that the timeline covers the whole sequence from the start
+   * and the next segment is cached when the previous one ends. Falls back to
+   * the variants when a segment fails.
+   * @param {!Array<!Object>} segments
+   * @private
+   */
+  VpaidVideoPlayer.prototype.preloadSegments_ = function(segments) {
+    var pending = segments.length;
+    var elements = [];
+    var timeoutId = null;
+    var done = (function(loaded) {
+      if (timeoutId == null) {
+        return;
+      }
+      clearTimeout(timeoutId);
+      timeoutId = null;
+      for (var i = 0; i < elements.length; i++) {
+        elements[i].removeAttribute('src');
+      }
+      if (this.state_ != 'loading') {
+        return;
+      }
+      if (!loaded) {
+        this.log('Unable to preload the stitched audio, playing a variant');
+        this.preloadRenditions_();
+        return;
+      }
+      this.segments_ = segments;
+      this.segmentIndex_ = 0;
+      // The renditions are the fallbacks, starting from the first.
+      this.renditionIndex_ = -1;
+      this.log('Stitched audio of ' + segments.length + ' segments');
+      this.videoSlot_.setAttribute('src', segments[0].url);
+      this.videoSlot_.load();
+      this.watch_(VpaidVideoPlayer.PRELOAD_TIMEOUT_);
+    }).bind(this);
+    timeoutId = setTimeout(function() {
+      done(false);
+    }, VpaidVideoPlayer.PRELOAD_TIMEOUT_);
+    segments.forEach(function(segment) {
+      var element = document.createElement('audio');
+      element.setAttribute('preload', 'auto');
+      element.addEventListener('loadedmetadata', function() {
+        segment.duration = element.duration;
+        pending -= 1;
+        if (pending == 0) {
+          done(true);
+        }
+      }, false);
+      element.addEventListener('error', function() {
+        done(false);
+      }, false);
+      element.setAttribute('src', segment.url);
+      element.load();
+      elements.push(element);
+    });
+  };
+
+
+  /**
+   * Plays the next segment of the stitched audio.
+   * @return {boolean} false after the last segment.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.nextSegment_ = function() {
+    if (!this.segments_ || this.segmentIndex_ + 1 >= this.segments_.length) {
+      return false;
+    }
+    this.segmentIndex_ += 1;
+    this.videoSlot_.setAttribute('src', this.segments_[this.segmentIndex_].url);
+    this.watch_(VpaidVideoPlayer.PRELOAD_TIMEOUT_);
+    this.play_();
+    return true;
+  };
+
+
+  /**
+   * @return {number} Time played in s, over the whole stitched audio.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.currentTime_ = function() {
+    var time = this.videoSlot_.currentTime || 0;
+    for (var i = 0; this.segments_ && i < this.segmentIndex_; i++) {
+      time += this.segments_[i].duration;
+    }
+    return time;
+  };
+
+
+  /**
+   * @return {number} Duration in s, of the whole stitched audio.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.duration_ = function() {
+    if (!this.segments_) {
+      return this.videoSlot_.duration;
+    }
+    var duration = 0;
+    for (var i = 0; i < this.segments_.length; i++) {
+      duration += this.segments_[i].duration;
+    }
+    return duration;
+  };
+
+
+  /**
+   * @return {string} The audio played: a variant, default, videos or
+   *     stitched.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.currentAudio_ = function() {
+    return this.segments_ ? 'stitched' :
+        this.renditions_[this.renditionIndex_].audio;
+  };
+
+
+  /**
+   * Validates a value against a schema, see MANIFEST_SCHEMA_.
+   * @param {*} value
+   * @param {Object} schema
+   * @param {string} path Path of the value, used in error messages.
+   * @param {Array<string>} errors Receives the validation errors.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.validateSchema_ = function(
+      value,
+      schema,
+      path,
+      errors) {
+    var type = Array.isArray(value) ? 'array' :
+        (value === null ? 'null' : typeof value);
+    if (schema.anyOf) {
+      // Only the alternatives differing by type are supported: the value is
+      // checked against the one of its type.
+      var types = [];
+      for (var k = 0; k < schema.anyOf.length; k++) {
+        if (schema.anyOf[k].type == type) {
+          this.validateSchema_(value, schema.anyOf[k], path, errors);
+          return;
+        }
+        types.push(schema.anyOf[k].type);
+      }
+      errors.push(path + ' should be of type ' + types.join(' or '));
+      return;
+    }
+    if (schema.type && schema.type != type) {
+      errors.push(path + ' should be of type ' + schema.type);
+      return;
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(path + ' does not match ' + schema.pattern);
+    }
+    if (schema.format == 'url' && !/^https?:\/\//.test(value)) {
+      errors.push(path + ' should be an http(s) url');
+    }
+    if (type == 'object') {
+      var required = schema.required || [];
+      for (var i = 0; i < required.length; i++) {
+        if (!(required[i] in value)) {
+          errors.push(path + '.' + required[i] + ' is required');
+        }
+      }
+      for (var key in schema.properties || {}) {
+        if (key in value) {
+          this.validateSchema_(
+              value[key], schema.properties[key], path + '.' + key, errors);
+        }
+      }
+    }
+    if (type == 'array') {
+      if (schema.minItems && value.length < schema.minItems) {
+        errors.push(path + ' should have at least ' +
+            schema.minItems + ' item(s)');
+      }
+      for (var j = 0; schema.items && j < value.length; j++) {
+        this.validateSchema_(
+            value[j], schema.items, path + '[' + j + ']', errors);
+      }
+    }
+  };
+  
+  
+  /**
+   * Called when the overlay is clicked.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.overlayOnClick_ = function() {
+    this.callEvent_('AdClickThru', '', '0', true);
   };
   
   
   /**
-   * VPAID defined init ad, initializes all attributes in the ad.  The ad will
-   * not start until startAd is called.
-   *
-   * @param {number} width The ad width.
-   * @param {number} height The ad heigth.
-   * @param {string} viewMode The ad view mode.
-   * @param {number} desiredBitrate The desired bitrate.
-   * @param {Object} creativeData Data associated with the creative.
-   * @param {Object} environmentVars Variables associated with the creative like
-   *     the slot and video slot.
+   * Called by the video element.  Calls events as the video reaches times.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.timeUpdateHandler_ = function() {
+    var duration = this.duration_();
+    this.attributes_['remainingTime'] = duration - this.currentTime_();
+    this.updateSkip_();
+    this.updateProgress_();
+    if (this.lastQuartileIndex_ >= this.quartileEvents_.length) {
+      return;
+    }
+    var percentPlayed = this.currentTime_() * 100.0 / duration;
+    if (percentPlayed >= this.quartileEvents_[this.lastQuartileIndex_].value) {
+      var lastQuartileEvent = this.quartileEvents_[this.lastQuartileIndex_].event;
+      this.quartileReached_(lastQuartileEvent);
+      this.lastQuartileIndex_ += 1;
+    }
+    if (this.attributes_['duration'] != duration) {
+      this.attributes_['duration'] = duration;
+      this.callEvent_('AdDurationChange');
+    }
+  };
+  
+  
+  /**
+   * @private
+   */
+  VpaidVideoPlayer.prototype.updateVideoSlot_ = function() {
+    if (this.isAudioMode_()) {
+      // Audio players may not give a video slot, the audio element is used as
+      // the media element in its place.
+      this.videoSlot_ = document.createElement('audio');
+      this.videoSlot_.setAttribute('preload', 'auto');
+      if (this.slot_) {
+        this.slot_.appendChild(this.videoSlot_);
+      }
+    } else if (this.videoSlot_ == null) {
+      this.videoSlot_ = document.createElement('video');
+      // this.log('Warning: No video element passed to ad, creating element.');
+      this.slot_.appendChild(this.videoSlot_);
+    }
+    // TODO right now the sdk is sending in the wrong size on init.
+    // there should be no need to change element sizes from the start.
+    //this.updateVideoPlayerSize_();
+    // The source is set by preloadAudio_ once the manifest is loaded.
+  };
+
+
+  /**
+   * Bitrate in kbps the renditions are chosen for: the desiredBitrate of
+   * initAd, lowered on slow or data saving connections.
+   * @return {number}
+   * @private
+   */
+  VpaidVideoPlayer.prototype.targetBitrate_ = function() {
+    var bitrate = Number(this.attributes_['desiredBitrate']) || 256;
+    var connection = navigator.connection || navigator.mozConnection ||
+        navigator.webkitConnection;
+    if (!connection) {
+      return bitrate;
+    }
+    if (connection.saveData) {
+      return 0;
+    }
+    var effectiveTypes = {'slow-2g': 32, '2g': 64, '3g': 128};
+    if (connection.effectiveType in effectiveTypes) {
+      bitrate = Math.min(bitrate, effectiveTypes[connection.effectiveType]);
+    }
+    if (connection.downlink) {
+      // downlink is in Mbps, half of it is left to the page.
+      bitrate = Math.min(bitrate, connection.downlink * 500);
+    }
+    return bitrate;
+  };
+
+
+  /**
+   * Orders the playable renditions of an audio, best match first: the
+   * highest bitrate up to targetBitrate_, then the renditions without a
+   * bitrate, then the lowest bitrates above it.
+   * @param {string|!Array<!Object>} audio A url or a list of renditions
+   *     {url, mimetype, bitrate}.
+   * @return {!Array<!Object>}
+   * @private
+   */
+  VpaidVideoPlayer.prototype.selectRenditions_ = function(audio) {
+    var renditions = typeof audio == 'string' ? [{url: audio}] : audio || [];
+    var target = this.targetBitrate_();
+    var playable = [];
+    for (var i = 0; i < renditions.length; i++) {
+      var mimetype = renditions[i].mimetype ||
+          VpaidVideoPlayer.MIMETYPES_[
+              (renditions[i].url.split('?')[0].match(/\.(\w+)$/) || [])[1]];
+      // Renditions of an unknown type are kept, the element tells on error.
+      if (!mimetype || this.videoSlot_.canPlayType(mimetype) != '') {
+        playable.push(renditions[i]);
+      }
+    }
+    var rank = function(rendition) {
+      if (rendition.bitrate == null) {
+        return 0;
+      }
+      return rendition.bitrate <= target ?
+          rendition.bitrate - target - 1 : rendition.bitrate - target;
+    };
+    var order = function(a, b) {
+      var rankA = rank(a);
+      var rankB = rank(b);
+      if ((rankA < 0) != (rankB < 0)) {
+        return rankA < 0 ? -1 : 1;
+      }
+      return rankA < 0 ? rankB - rankA : rankA - rankB;
+    };
+    return playable.sort(order);
+  };
+
+
+  /**
+   * Sets the media element source to a rendition of renditions_.
+   * @param {number} index
+   * @private
+   */
+  VpaidVideoPlayer.prototype.setRendition_ = function(index) {
+    var rendition = this.renditions_[index];
+    this.renditionIndex_ = index;
+    this.log('Rendition ' + rendition.audio + ' ' + rendition.url +
+        (rendition.bitrate ? ' ' + rendition.bitrate + 'kbps' : ''));
+    this.videoSlot_.setAttribute('src', rendition.url);
+    this.videoSlot_.load();
+    this.watch_(VpaidVideoPlayer.PRELOAD_TIMEOUT_);
+  };
+
+
+  /**
+   * Fails the current rendition with a VAST error 402 unless the media
+   * element makes progress within timeout ms.
+   * @param {number} timeout
+   * @private
+   */
+  VpaidVideoPlayer.prototype.watch_ = function(timeout) {
+    this.unwatch_();
+    this.watchdogId_ = setTimeout(this.mediaError_.bind(this, 402), timeout);
+  };
+
+
+  /**
+   * Clears the timer of watch_.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.unwatch_ = function() {
+    if (this.watchdogId_) {
+      clearTimeout(this.watchdogId_);
+      this.watchdogId_ = null;
+    }
+  };
+
+
+  /**
+   * Called when the media element has loaded the audio metadata, which proves
+   * the file can be fetched and decoded: fires AdLoaded at the end of the
+   * preload.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.mediaReady_ = function() {
+    this.unwatch_();
+    if (this.state_ == 'loading') {
+      this.state_ = 'initialized';
+      // Once the audio, variant or stitched, is chosen: utm_content of the
+      // landing url matches p_v.
+      this.attributes_['companions'] = this.buildCompanions_();
+      this.callEvent_('AdLoaded');
+    }
+  };
+
+
+  /**
+   * Called when playback stops for lack of data.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.mediaWaiting_ = function() {
+    if (this.state_ == 'started' || this.state_ == 'playing') {
+      this.watch_(VpaidVideoPlayer.STALL_TIMEOUT_);
+    }
+  };
+
+
+  /**
+   * Called when playback starts or resumes. The impression is reported the
+   * first time, so that a silent ad is never counted.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.mediaPlaying_ = function() {
+    this.unwatch_();
+    if (this.impressionFired_ ||
+        (this.state_ != 'started' && this.state_ != 'playing')) {
+      return;
+    }
+    this.impressionFired_ = true;
+    if (this.events_) {
+      this.events_.trigger('loaded_imp', 'i');
+      var audio = this.currentAudio_();
+      if (audio != this.variant_ && audio != 'stitched') {
+        this.events_.trigger('audio_fallback', 't', {'a': audio});
+      }
+    }
+    this.callEvent_('AdImpression');
+  };
+
+
+  /**
+   * Called when the media element fails to load or play, or from watch_:
+   * moves on to the next rendition, fails the ad when none is left.
+   * @param {(number|Event)=} opt_code VAST error code, read from the media
+   *     element error when called as a listener.
+   * @private
    */
-  VpaidVideoPlayer.prototype.initAd = function(
-      width,
-      height,
-      viewMode,
-      desiredBitrate,
-      creativeData,
-      environmentVars) {
-    // slot and videoSlot are passed as part of the environmentVars
-    this.attributes_['width'] = width;
-    this.attributes_['height'] = height;
-    this.attributes_['viewMode'] = viewMode;
-    this.attributes_['desiredBitrate'] = desiredBitrate;
-    this.slot_ = environmentVars.slot;
-    this.videoSlot_ = environmentVars.videoSlot;
-  
-    // Parse the incoming parameters.
-    this.parameters_ = JSON.parse(creativeData['AdParameters']);
+  VpaidVideoPlayer.prototype.mediaError_ = function(opt_code) {
+    if (this.state_ == 'stopped') {
+      return;
+    }
+    this.unwatch_();
+    var error = this.videoSlot_.error;
+    var code = typeof opt_code == 'number' ? opt_code :
+        VpaidVideoPlayer.MEDIA_ERROR_CODES_[error && error.code] || 405;
+    var current = {
+      url: this.videoSlot_.getAttribute('src'),
+      audio: this.currentAudio_()
+    };
+    this.log('Media error ' + code + ' on ' + current.url);
+    // A failing segment stops the stitched audio, the variants take over.
+    this.segments_ = null;
+    if (this.renditionIndex_ + 1 >= this.renditions_.length) {
+      this.fail_(code, 'Unable to play any rendition of the audio');
+      return;
+    }
+    var playing = this.state_ == 'started' || this.state_ == 'playing';
+    var currentTime = this.videoSlot_.currentTime;
+    this.setRendition_(this.renditionIndex_ + 1);
+    if (!playing) {
+      return;
+    }
+    // Another rendition of the same audio resumes where playback stopped.
+    if (this.renditions_[this.renditionIndex_].audio == current.audio) {
+      this.videoSlot_.currentTime = currentTime;
+    }
+    this.play_();
+  };
 
-    this.log('initAd ' + width + 'x' + height +
-        ' ' + viewMode + ' ' + desiredBitrate);
-    this.updateVideoSlot_();
-    this.videoSlot_.addEventListener(
-        'timeupdate',
-        this.timeUpdateHandler_.bind(this),
-        false);
-    this.videoSlot_.addEventListener(
-        'ended',
-        this.pauseAd.bind(this),
-        false);
-    this.videoSlot_.addEventListener(
-        'play',
-        this.videoResume_.bind(this),
-        false);
-    this.callEvent_('AdLoaded');
+
+  /**
+   * Plays the media element. When autoplay with sound is blocked, playback
+   * goes on muted and the mute button lets the user turn the sound on.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.play_ = function() {
+    var promise = this.videoSlot_.play();
+    if (!promise || !promise.catch) {
+      return;
+    }
+    promise.catch((function(error) {
+      if (this.state_ == 'stopped' || error.name == 'AbortError') {
+        // Interrupted by a source change or by pause().
+        return;
+      }
+      if (error.name == 'NotAllowedError' && this.attributes_['volume'] != 0) {
+        this.log('Autoplay with sound blocked, playing muted');
+        // Browsers only autoplay muted elements, a volume of 0 is not enough.
+        this.videoSlot_.muted = true;
+        this.attributes_['volume'] = 0;
+        this.updateMuteButton_();
+        this.callEvent_('AdVolumeChange');
+        this.play_();
+        return;
+      }
+      // Load failures are reported by the error event.
+      this.log('play() failed: ' + error.message);
+    }).bind(this));
   };
-  
-  
+
+
   /**
-   * Called when the overlay is clicked.
+   * Reports a failure of the ad with a VAST error code, to the wrapper with
+   * AdError and to the tracker as an error event.
+   * @param {number} code VAST error code.
+   * @param {string} message
+   * @param {string=} opt_method The method or callback that failed, the
+   *     state of the ad by default.
    * @private
    */
-  VpaidVideoPlayer.prototype.overlayOnClick_ = function() {
-    if ('AdClickThru' in this.eventsCallbacks_) {
-      this.eventsCallbacks_['AdClickThru']('','0', true);
-    };
+  VpaidVideoPlayer.prototype.fail_ = function(code, message, opt_method) {
+    this.unwatch_();
+    this.errorCode_ = code;
+    this.recordError_(code, message, opt_method || this.state_, true);
+    try {
+      this.trackError_(code);
+    } catch (e) {
+      // Tracking must not prevent the wrapper from being told.
+      this.log('Unable to track error ' + code + ': ' + e.message);
+    }
+    this.callEvent_('AdError', 'VAST error ' + code + ': ' + message);
   };
-  
-  
+
+
   /**
-   * Called by the video element.  Calls events as the video reaches times.
+   * Sends the error event of the tracker with p_code. Before startAd the
+   * event handler does not exist yet, the pixel is then sent directly to the
+   * event url of config.macro.url. The AdParameters.errorUrls are called
+   * too, with [ERRORCODE] and the other macros expanded.
+   * @param {number} code VAST error code.
    * @private
    */
-  VpaidVideoPlayer.prototype.timeUpdateHandler_ = function() {
-    this.attributes_['remainingTime'] =
-        this.videoSlot_.duration - this.videoSlot_.currentTime;
-    if (this.lastQuartileIndex_ >= this.quartileEvents_.length) {
+  VpaidVideoPlayer.prototype.trackError_ = function(code) {
+    var errorUrls = this.consentMode_() == 'none' ? [] :
+        this.parameters_.errorUrls || [];
+    for (var i = 0; i < errorUrls.length; i++) {
+      new Image().src = this.expandMacros_(errorUrls[i]);
+    }
+    if (this.events_) {
+      this.events_.trigger('error', 't', {'code': code});
+      this.events_.flush(true);
       return;
     }
-    var percentPlayed =
-        this.videoSlot_.currentTime * 100.0 / this.videoSlot_.duration;
-    if (percentPlayed >= this.quartileEvents_[this.lastQuartileIndex_].value) {
-      var lastQuartileEvent = this.quartileEvents_[this.lastQuartileIndex_].event;
-      this.eventsCallbacks_[lastQuartileEvent]();
-      this.lastQuartileIndex_ += 1;
+    var config = this.parameters_.config;
+    if (!config || !config.macro || !config.macro.url ||
+        this.consentMode_() == 'none') {
+      return;
     }
-    if (this.attributes_['duration'] != this.videoSlot_.duration) {
-      this.attributes_['duration'] = this.videoSlot_.duration;
-      this.callEvent_('AdDurationChange');
+    var parts = config.macro.url.split('?');
+    // Same url as the event handler: no redirection, offer or pixel calls.
+    var query = (parts[1] || '').split('&').filter(function(param) {
+      return param && !/^(r=|offer=|call(\[|%5B))/.test(param);
+    });
+    if (this.consentQuery_()) {
+      query.push(this.consentQuery_());
     }
+    query.push('p_code=' + code, 'p_et=t');
+    new Image().src = this.expandMacros_(
+        parts[0].replace(/\/click$/, '/error') + '?' + query.join('&'));
   };
-  
-  
+
+
   /**
+   * Reports an exception thrown by a guarded method with AdError: the code of
+   * an AdError_, 901 (general VPAID error) otherwise.
+   * @param {*} e The exception.
+   * @param {string} name The method that threw.
    * @private
    */
-  VpaidVideoPlayer.prototype.updateVideoSlot_ = function() {
-    if (this.videoSlot_ == null) {
-      this.videoSlot_ = document.createElement('video');
-      // this.log('Warning: No video element passed to ad, creating element.');
-      this.slot_.appendChild(this.videoSlot_);
+  VpaidVideoPlayer.prototype.exception_ = function(e, name) {
+    var isAdError = e instanceof VpaidVideoPlayer.AdError_;
+    var message = e && e.message ? e.message : String(e);
+    if (!isAdError) {
+      this.log(e && e.stack ? e.stack : message);
     }
-    // TODO right now the sdk is sending in the wrong size on init.
-    // there should be no need to change element sizes from the start.
-    //this.updateVideoPlayerSize_();
-    var foundSource = false;
-    var videos = this.parameters_.videos || [];
-    for (var i = 0; i < videos.length; i++) {
-      // Choose the first video with a supported mimetype.
-      if (this.videoSlot_.canPlayType(videos[i].mimetype) != '') {
-        this.videoSlot_.setAttribute('src', videos[i].url);
-        foundSource = true;
-        break;
+    this.fail_(isAdError ? e.code : 901,
+        isAdError ? message : name + ': ' + message, name);
+  };
+
+
+  /**
+   * Wraps a callback of the ad (media listener, request) like the VPAID
+   * methods, see guarded_.
+   * @param {string} name Name of the callback, kept with the error.
+   * @param {!Function} callback Called with the ad as this.
+   * @return {!Function}
+   * @private
+   */
+  VpaidVideoPlayer.prototype.guard_ = function(name, callback) {
+    return VpaidVideoPlayer.guarded_(name, callback).bind(this);
+  };
+
+
+  /**
+   * Parses a JSON string of the ad.
+   * @param {string} value
+   * @param {string} name Name of the value in the error message.
+   * @return {*}
+   * @throws {VpaidVideoPlayer.AdError_} 101 when the JSON is invalid.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.parseJson_ = function(value, name) {
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      throw new VpaidVideoPlayer.AdError_(
+          101, 'Invalid ' + name + ': ' + e.message);
+    }
+  };
+
+
+  /**
+   * Keeps an error in errors_, dropping the oldest past MAX_ERRORS_.
+   * @param {number} code VAST error code.
+   * @param {string} message
+   * @param {string} method The method or callback the error happened in.
+   * @param {boolean} fatal Whether AdError was fired.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.recordError_ = function(
+      code,
+      message,
+      method,
+      fatal) {
+    this.errors_.push({
+      time: Date.now(),
+      code: code,
+      message: message,
+      method: method,
+      state: this.state_,
+      fatal: fatal
+    });
+    if (this.errors_.length > VpaidVideoPlayer.MAX_ERRORS_) {
+      this.errors_.shift();
+    }
+    if (!fatal) {
+      this.log('Error ' + code + ' in ' + method + ': ' + message);
+    }
+  };
+
+
+  /**
+   * Copy of the recent errors, exposed as window.vpaidErrors with the debug
+   * AdParameter.
+   * @return {!Array<!Object>}
+   * @private
+   */
+  VpaidVideoPlayer.prototype.getErrors_ = function() {
+    return this.errors_.slice();
+  };
+
+
+  /**
+   * Reads the consent from the gdpr and gdpr_consent AdParameters, then asks
+   * the CMP of the page, whose answer takes precedence.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.initConsent_ = function() {
+    var gdpr = this.parameters_['gdpr'];
+    if (gdpr != null && gdpr !== '') {
+      this.consent_.gdprApplies = gdpr == 1 || gdpr === true;
+    }
+    this.setTcString_(this.parameters_['gdpr_consent'] || '');
+    this.listenToCmp_();
+  };
+
+
+  /**
+   * Sets the TC string and the purposes it consents to, read from its core
+   * segment.
+   * @param {string} tcString
+   * @private
+   */
+  VpaidVideoPlayer.prototype.setTcString_ = function(tcString) {
+    var alphabet =
+        'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+    var core = tcString.split('.')[0];
+    var bits = '';
+    for (var i = 0; i < core.length && bits.length < 200; i++) {
+      bits += ('00000' + alphabet.indexOf(core.charAt(i)).toString(2)).slice(-6);
+    }
+    this.consent_.tcString = tcString;
+    this.consent_.purposes = {};
+    this.consent_.legitimateInterests = {};
+    // Version 2 strings: PurposesConsent at bit 152, PurposesLITransparency
+    // at bit 176, 24 bits each.
+    if (bits.length < 200 || parseInt(bits.substr(0, 6), 2) != 2) {
+      return;
+    }
+    for (var purpose = 1; purpose <= 24; purpose++) {
+      this.consent_.purposes[purpose] = bits.charAt(151 + purpose) == '1';
+      this.consent_.legitimateInterests[purpose] =
+          bits.charAt(175 + purpose) == '1';
+    }
+  };
+
+
+  /**
+   * Listens to the consent of the CMP of the page: __tcfapi in the ad window
+   * or a same origin parent, or through postMessage to the frame holding
+   * __tcfapiLocator. Nothing is tracked until the CMP answers that GDPR does
+   * not apply or that the user has decided.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.listenToCmp_ = function() {
+    var onConsent = (function(tcData, success) {
+      if (!success || !tcData) {
+        return;
+      }
+      this.consent_.gdprApplies = tcData.gdprApplies !== false;
+      if (this.consent_.gdprApplies && tcData.eventStatus != 'tcloaded' &&
+          tcData.eventStatus != 'useractioncomplete') {
+        // cmpuishown: the user has not decided yet.
+        this.consent_.pending = true;
+        this.updateConsent_();
+        return;
+      }
+      this.consent_.pending = false;
+      this.setTcString_(tcData.tcString || '');
+      var purpose = tcData.purpose || {};
+      for (var id in purpose.consents || {}) {
+        this.consent_.purposes[id] = !!purpose.consents[id];
+      }
+      for (var id2 in purpose.legitimateInterests || {}) {
+        this.consent_.legitimateInterests[id2] =
+            !!purpose.legitimateInterests[id2];
+      }
+      this.updateConsent_();
+    }).bind(this);
+    var frame = window;
+    while (frame) {
+      try {
+        if (typeof frame.__tcfapi == 'function') {
+          var tcfapi = frame.__tcfapi;
+          var listenerId = null;
+          this.consent_.pending = true;
+          tcfapi('addEventListener', 2, function(tcData, success) {
+            if (tcData && tcData.listenerId != null) {
+              listenerId = tcData.listenerId;
+            }
+            onConsent(tcData, success);
+          });
+          this.removeCmpListener_ = function() {
+            tcfapi('removeEventListener', 2, function() {}, listenerId);
+          };
+          return;
+        }
+      } catch (e) {
+        // Cross origin parent, only reachable through postMessage.
+      }
+      var locator = null;
+      try {
+        locator = frame.frames['__tcfapiLocator'];
+      } catch (e) {
+        // Cross origin parent whose frames cannot be listed.
+      }
+      if (locator) {
+        var callId = 'vpaid' + Math.random();
+        this.consent_.pending = true;
+        var onMessage = function(message) {
+          var data = message.data;
+          if (typeof data == 'string') {
+            try {
+              data = JSON.parse(data);
+            } catch (e) {
+              return;
+            }
+          }
+          var response = data && data.__tcfapiReturn;
+          if (response && response.callId == callId) {
+            onConsent(response.returnValue, response.success);
+          }
+        };
+        window.addEventListener('message', onMessage, false);
+        frame.postMessage({__tcfapiCall: {
+          command: 'addEventListener', version: 2, callId: callId
+        }}, '*');
+        this.removeCmpListener_ = function() {
+          window.removeEventListener('message', onMessage, false);
+        };
+        return;
       }
+      frame = frame === window.top ? null : frame.parent;
+    }
+  };
+
+
+  /**
+   * Applies a new answer of the CMP to the tracking already running.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.updateConsent_ = function() {
+    this.log('Consent ' + this.consentMode_());
+    if (this.events_) {
+      this.events_.updateConsent();
+    }
+  };
+
+
+  /**
+   * What the consent allows:
+   * - full: tracking with interaction positions and device data, when GDPR
+   *   does not apply or with consent to store information on the device and
+   *   to measure ad performance,
+   * - anonymous: events without positions, screen size or device
+   *   identifiers, with consent or legitimate interest to measure ad
+   *   performance only,
+   * - none: no tracking at all, also while the user has not decided.
+   * @return {string} full, anonymous or none.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.consentMode_ = function() {
+    var consent = this.consent_;
+    if (consent.pending) {
+      return 'none';
+    }
+    if (!consent.gdprApplies) {
+      return 'full';
     }
-    if (!foundSource) {
-      // Unable to find a source video.
-      this.callEvent_('AdError');
+    var measurement = VpaidVideoPlayer.PURPOSE_MEASUREMENT_;
+    if (consent.purposes[VpaidVideoPlayer.PURPOSE_STORAGE_] &&
+        consent.purposes[measurement]) {
+      return 'full';
     }
+    if (consent.purposes[measurement] ||
+        consent.legitimateInterests[measurement]) {
+      return 'anonymous';
+    }
+    return 'none';
+  };
+
+
+  /**
+   * gdpr and gdpr_consent query parameters added to the tracker urls.
+   * @return {string} Empty when the GDPR applicability is unknown.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.consentQuery_ = function() {
+    if (this.consent_.gdprApplies == null) {
+      return '';
+    }
+    return 'gdpr=' + (this.consent_.gdprApplies ? 1 : 0) +
+        '&gdpr_consent=' + encodeURIComponent(this.consent_.tcString);
+  };
+
+
+  /**
+   * Adds the consent to a tracker url, and drops the device identifier
+   * without the consent to store it.
+   * @param {string} url
+   * @return {string}
+   * @private
+   */
+  VpaidVideoPlayer.prototype.withConsent_ = function(url) {
+    if (this.consentMode_() != 'full') {
+      url = url.replace(/([?&]idfa=)[^&#]*/i, '$1');
+    }
+    var query = this.consentQuery_();
+    if (query) {
+      url += (url.indexOf('?') > -1 ? '&' : '?') + query;
+    }
+    return url;
+  };
+
+
+  /**
+   * Values of the VAST 4.x macros known to the player and of the campaign
+   * macros {POI}, {CITY}, {VARIANT} and {TIMESTAMP}. As in VAST, unknown
+   * values are -1 and values that do not apply -2.
+   * @return {!Object<string, string>}
+   * @private
+   */
+  VpaidVideoPlayer.prototype.macroValues_ = function() {
+    var dealership = this.dealership_ || {};
+    var macro = (this.parameters_.config || {}).macro || {};
+    var playhead = '-1';
+    if (this.videoSlot_ && this.state_ != 'loading') {
+      // HH:MM:SS.mmm
+      var time = new Date(Math.round(this.currentTime_() * 1000));
+      playhead = time.toISOString().substr(11, 12);
+    }
+    return {
+      '[CACHEBUSTING]': String(Math.floor(1e7 + Math.random() * 9e7)),
+      '[TIMESTAMP]': new Date().toISOString(),
+      '[ADPLAYHEAD]': playhead,
+      '[CONTENTPLAYHEAD]': '-1',
+      '[MEDIAPLAYHEAD]': '-1',
+      '[BREAKPOSITION]': '-1',
+      '[ERRORCODE]': this.errorCode_ ? String(this.errorCode_) : '-2',
+      '[ASSETURI]': (this.videoSlot_ && this.videoSlot_.getAttribute('src')) || '-1',
+      '[ADTYPE]': this.isAudioMode_() ? 'audio' : 'video',
+      '[APIFRAMEWORKS]': '2',
+      '[PLAYERSIZE]': this.attributes_['width'] + ',' + this.attributes_['height'],
+      '[PAGEURL]': window.location.href,
+      '[DOMAIN]': window.location.hostname,
+      '[DEVICEUA]': navigator.userAgent,
+      '[GDPRCONSENT]': this.consent_.tcString || '-1',
+      '{POI}': dealership.poi || '',
+      '{CITY}': dealership.c || '',
+      '{VARIANT}': this.variant_ || '',
+      '{TIMESTAMP}': macro.timestamp || String(new Date().getTime())
+    };
+  };
+
+
+  /**
+   * Expands the macros of macroValues_ in a url. Values are URL-encoded, and
+   * encoded twice for the macros found URL-encoded, which sit in a url nested
+   * in a query parameter. Unknown macros are left as they are.
+   * @param {string} url
+   * @return {string}
+   * @private
+   */
+  VpaidVideoPlayer.prototype.expandMacros_ = function(url) {
+    var values = this.macroValues_();
+    var macros = /\[([A-Z]+)\]|\{([A-Z]+)\}|%5[Bb]([A-Z]+)%5[Dd]|%7[Bb]([A-Z]+)%7[Dd]/g;
+    return url.replace(macros, function(match, square, curly, encodedSquare,
+        encodedCurly) {
+      var name = square || curly || encodedSquare || encodedCurly;
+      var key = (square || encodedSquare) ? '[' + name + ']' : '{' + name + '}';
+      if (!(key in values)) {
+        return match;
+      }
+      var value = encodeURIComponent(values[key]);
+      return (encodedSquare || encodedCurly) ? encodeURIComponent(value) : value;
+    });
   };
   
   
@@ -222,43 +1733,40 @@ var VpaidVideoPlayer = function() {
    * Called by the wrapper to start the ad.
    */
   VpaidVideoPlayer.prototype.startAd = function() {
+    if (!this.checkState_('startAd')) {
+      return;
+    }
+    this.state_ = 'started';
     this.log('Starting ad');
  ///////////// CHANGEMENT DE SOURCE AUDIO ////////////////
 
-    var creativeDataAdm = [];
-    var poiList = [{"c":"AGEN","poi":"spb7mc5cxgfp","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"AIX EN PROVENCE","poi":"speze074p4bt","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"ALBI","poi":"spc9b9qetsuy","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"ALENCON","poi":"u085dennpuq8","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"ANGERS","poi":"gbrw1fjfn2qt","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"ANGOULEME","poi":"u005uhg9gw0s","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"ANNECY","poi":"u0hkccc4tj6k","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"ANNEMASSE","poi":"u0hqydzb34j2","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"ARLES","poi":"spg29se8wsw0","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"AUBAGNE","poi":"speyr2fjgvx3","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"AUXERRE","poi":"u06xcp594zeu","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"AVIGNON","poi":"spg3yhrm1pvv","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"BASTIA","poi":"spwdqtzu9zgh","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"BAYONNE","poi":"ezwzjzxwem1q","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"BEAUVAIS","poi":"u0c9201gzs5n","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"BELFORT","poi":"u0kzh880cyk3","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"BESANCON","poi":"u0khx6gcfyhy","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"BEZIERS","poi":"spdqd5ke9yew","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"BLOIS","poi":"u02yyk2344nm","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"BORDEAUX","poi":"ezzxk832b5xr","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"BORDEAUX","poi":"ezzx02hqdf66","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"BOULOGNE SUR MER","poi":"u110kskk4fh1","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"BOURG EN BRESSE","poi":"u05wxfrztdw3","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"BOURGES","poi":"u03sn12y6n4u","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"BOURGOIN JALLIEU","poi":"u05erdv9xr70","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"BREST","poi":"gbsg6mc3xzyr","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"BRIE COMTE ROBERT","poi":"u09v51v66rb8","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"BRIVE LA GAILLARDE","poi":"u010c6ruuger","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"BRUAY LA BUISSIERE","poi":"u0cz68zv5p5u","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"CAEN","poi":"gbxz86ugjhtv","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"CANNES","poi":"spubne6g0svu","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"CARCASSONNE","poi":"sp9tud85qr61","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"CASTRES","poi":"sp9xfpmn0672","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"CESSY","poi":"u0hr6n6ptbsg","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"CHALON SUR SAONE","poi":"u076ndj35ukn","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"CHAMBERY","poi":"u0h5mzmbbkvk","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"CHAMBOURCY","poi":"u09qnx4gyseh","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"CHANGE","poi":"u0952ynqfk6m","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"CHARTRES","poi":"u034pn2kcdnr","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"CHATEAUROUX","poi":"u0e9t44u4gsc","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"CHAUMONT","poi":"gbr7e1w2we6d","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"CHOLET","poi":"u04hr92fm2zu","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"CLERMONT FERRAND","poi":"u0t1xvv47f1q","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"COLMAR","poi":"u0ccp4743pm8","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"COMPIEGNE","poi":"u0cb0490424f","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"CREIL","poi":"ezz0z0wgmer8","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"DAX","poi":"u07t41nzps3q","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"DIJON","poi":"u0fnquts8kez","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"DOUAI","poi":"u08vq9h4npbm","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"DREUX","poi":"u11dm8wbr989","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"DUNKERQUE","poi":"u0sd5p05xm6r","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"EPINAL","poi":"u08ygj13uywd","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"EVREUX","poi":"u09grp0k9wv2","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"FONTAINEBLEAU","poi":"spsz0mfehnn6","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"FREJUS","poi":"spume42hvv5x","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"GAP","poi":"u0h0cgw5puz1","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"GRENOBLE","poi":"u0tt9dcwv33v","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"HAGUENAU","poi":"u11b96mx6wsb","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"HAZEBROUCK","poi":"gbqcz97u1h98","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"LA ROCHE SUR YON","poi":"gbpnw01cjg4k","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"LA ROCHELLE","poi":"gbtt1zee3zkn","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"LANNION","poi":"u0fd51zexqbr","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"LAON","poi":"gbx3wfwd2v42","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"Le Havre","poi":"u0b1e6kmwz1h","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"LE MANS","poi":"u080v1rzbnbq","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"LE PUY EN VELAY","poi":"u04b645v4pd4","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"LENS","poi":"u0cyxzn8mn09","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"LES ULIS","poi":"u09scvq45sk6","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"LILLE","poi":"u140p54kuxev","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"LIMOGES","poi":"u00vj16yfqp3","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"LIMONEST","poi":"u05ksd6wufep","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"LONS LE SAUNIER","poi":"u07cx0c7td5e","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"LORIENT","poi":"gbmxu48c137k","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"LYON","poi":"u05kn6hkpbrs","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"MACON","poi":"u05rm6hhqjz9","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"MARNE LA VALLEE","poi":"u09vuy8sw8r5","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"MARSEILLE","poi":"speyk1nmw3qf","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"MEAUX","poi":"u0dn3kng2bkz","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"MELUN","poi":"u09uk18vdgk5","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"METZ","poi":"u0sr5jfpjxpu","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"MONACO","poi":"spv2b8y2y2fd","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"MONT DE MARSAN","poi":"ezz9vuh05t43","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"MONTARGIS","poi":"u09by5xmrtft","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"MONTAUBAN","poi":"spbfq2hns1b3","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"MONTIGNY LE BRETONNE","poi":"u09mmz52w1kt","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"MONTPELLIER","poi":"spdzbjj456sg","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"MONTROUGE","poi":"u09tszm1get1","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"MORLAIX","poi":"gbtk262p2160","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"MULHOUSE","poi":"u0mpzcvcxt4h","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"NANCY","poi":"u0skgxbm0u4w","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"NANTES","poi":"gbqug4fkbctq","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"NARBONNE","poi":"spdjefvu6wr5","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"NEVERS","poi":"u065r49z3v5q","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"NICE","poi":"spv0t4wqznfv","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"NICE","poi":"spv0ech3fd2j","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"NIMES","poi":"spg168jkp49n","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"ORLEANS","poi":"u092ejjv8zr4","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"PAMIERS","poi":"sp9jjp7w2c1n","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"PARIS","poi":"u09tyu2ceec2","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"PARIS 15","poi":"u09tu4vy0h01","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"PARIS 16","poi":"u09tg6gmtqn3","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"PARIS 17","poi":"u09wh6svjbhc","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"PAU","poi":"ezxwqp00d3kc","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"PERIGUEUX","poi":"u0094jp8m8d9","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"PERPIGNAN","poi":"spd4cbhqe0nn","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"POITIERS","poi":"u020z48y1pvr","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"PONTARLIER","poi":"u0kdbk1fu9dk","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"PONTOISE","poi":"u09qzrguvryd","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"QUIMPER","poi":"gbt0unvgwp6y","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"REIMS","poi":"u0fbhgjgr7er","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"RENNES","poi":"gbwcejnqdz47","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"RIVERY","poi":"u0cevq1jhwz0","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"ROANNE","poi":"u04vv1sv81g7","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"RODEZ","poi":"spcu3yk02cc2","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"ROISSY EN FRANCE","poi":"u09y9r7w9pxf","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"ROUEN","poi":"u0bc23tp699g","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"ROYAN","poi":"gbp7bbkhcd9r","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"RUEIL MALMAISON","poi":"u09w1g5234ts","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"SAINT MALO","poi":"gbw5cy9m2zty","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"SAINT NAZAIRE","poi":"u054etxv57kd","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"SAINT OUEN","poi":"gbxpr60j3jt4","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"SAINT VICTORET","poi":"gbwsdg3xdnuu","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"SARREGUEMINES","poi":"u09v8m4kfspq","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"ST BRIEUC","poi":"gbqmnqcmkm8y","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"ST MAUR DES FOSSES","poi":"u09wjr2c4h7m","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"ST PRIEST EN JAREZ","poi":"spexp042nmvf","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"STLO","poi":"u0tp3kxf7h30","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"STRASBOURG","poi":"u0tkxg5tkudn","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"TARBES","poi":"sp8jcgyubw7r","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"THIONVILLE","poi":"u0u2snt3jz0s","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"TOULON","poi":"spsm3htxnkj5","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"TOULOUSE","poi":"sp9pdf7zp6hg","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"TOULOUSE","poi":"spc00x9x1vms","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"TOURS","poi":"u02mz4kxdy31","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"TROYES","poi":"u0dfs5qrqzwm","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"VALENCE","poi":"spgx84jwbrh3","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"VALENCIENNES","poi":"u0fw8v2g6yr6","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"VANNES","poi":"gbqp0tg83kdk","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"VELIZY VILLACOUBLAY","poi":"u09t98r9xhex","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"VESOUL","poi":"u0krh06e0gc7","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"VICHY","poi":"u04qmdyjbs8u","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"VILLEFRANCHE SUR SAONE","poi":"u05meuv2mnhd","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"VIRE","poi":"gbxmupekgu50","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"},{"c":"VIRY CHATILLON","poi":"u09syjwph181","lom1":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom2":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3","lom3":"https://assets.adotmob.com/Audi/111023/audio/AGEN+-+AUDI+JMA+A3+TFSIE+25%2B5+LOM1+29.09.23.mp3"}];
-
-    var POIAdm = decodeURIComponent(this.parameters_.poi) || "{}";
-    POIAdm = JSON.parse(POIAdm);
-    var poiId = POIAdm.id;
-    
-    // var poiId = "u09v51v66rb8";
-    var audioToUse;
-
-    const rndInt = Math.floor(Math.random() * 3) + 1
-    console.log(rndInt)
-  
-    function changeAudioByPoi(){
-      poiList.map(function(elem){
-        if(elem.poi == poiId){
-          audioToUse = elem["lom"+rndInt];
-        }
-      })
-    }
-
-    // changeAudioByPoi();
-
-    this.videoSlot_.setAttribute('src', audioToUse);  
-    this.videoSlot_.play();
-    
+    // Selected and preloaded by preloadAudio_.
+    var variant = this.variant_;
+    var configAdm = this.parameters_.config;
+  
+    // VPAID events fired by the tracker event handler.
+    var vpaidHooks = {
+      clickThru: (function(url) {
+        this.callEvent_('AdClickThru', url, '0', false);
+      }).bind(this),
+      interaction: (function(id) {
+        this.callEvent_('AdInteraction', id);
+      }).bind(this),
+      slot: this.slot_,
+      isPlaying: this.isPlaying_.bind(this),
+      isAudible: this.isAudible_.bind(this),
+      expandMacros: this.expandMacros_.bind(this),
+      // Landing page of the dealership, null for the dashboard redirection.
+      landingUrl: this.landingUrl_(),
+      clickPixels: this.dealership_ && this.dealership_.clickPixels,
+      // Read when sending: the CMP may answer after startAd.
+      privacy: (function() {
+        return {mode: this.consentMode_()};
+      }).bind(this),
+      withConsent: this.withConsent_.bind(this)
+    };
 
-    var videoFV = this.videoSlot_;
-  
-    var configAdm = this.parameters_.config || [];
-    var ccCD = this.parameters_.cc || '';
-   
-  
-    function createEvent(config){
+    function createEvent(config, vpaid){
           var allowRedirect = false; // NEED OF INFORMATION ABOUT THIS VAR
           var aElement;
           var event = {}; // events handler
@@ -269,17 +1777,71 @@ var VpaidVideoPlayer = function() {
           var pos_interact = "1_1"; // position of the last user interaction
           var constant_params = {}; // object of parameters to be sent with events
           var eventAlreadyFired = {};
+          var timers = []; // timeouts of setTimer
+          var aElementCreated = false; // whether the redirect anchor was added by the handler
+          var viewObserver = null; // IntersectionObserver of the slot
+          var viewSampler = null; // interval sampling the visibility
+          var viewRatio = 0; // share of the slot in view, from the IntersectionObserver
+          var VIEW_SAMPLE_INTERVAL = 250; // ms
+          var VIEW_CONTINUOUS = 2000; // ms in view required by the viewable events
+          var VIEW_BUCKETS = [5, 10, 15, 30]; // s of cumulated time in view reported
           var nbCallsInUrl = 0;
           var timeStart = new Date();
           var screenX = window.innerWidth || document.documentElement.clientWidth || document.body.clientWidth;
           var screenY = window.innerHeight || document.documentElement.clientHeight || document.body.clientHeight;
+          var trackingQueue = []; // pixels waiting to be sent : {url, attempts, retryAt}
+          var trackingStats = {"sent" : 0, "retried" : 0, "failed" : 0};
+          var flushTimeout = null;
+          var TRACKING_BATCH_DELAY = 250; // ms during which pixels are grouped before being sent
+          var TRACKING_BATCH_SIZE = 10; // number of queued pixels that triggers an immediate send
+          var TRACKING_MAX_ATTEMPTS = 3;
+          var TRACKING_RETRY_DELAY = 500; // ms, doubled after each failed attempt
       
-          // Loading pixel
+          // Loading pixel : the pixel is queued and sent with the next batch
           // url (r) : url of the pixel
           event.loadPixel = function eventLoadPixel(url){
-              url = url.replace('{TIMESTAMP}', config.macro.timestamp);
-              var img = new Image();
-              img.src = url;
+              // No tracking without consent
+              if(vpaid.privacy().mode === "none"){
+                  return;
+              }
+              url = vpaid.expandMacros(url);
+              trackingQueue.push({"url" : url, "attempts" : 0, "retryAt" : 0});
+              if(trackingQueue.length >= TRACKING_BATCH_SIZE){
+                  event.flush();
+              }else{
+                  scheduleFlush(TRACKING_BATCH_DELAY);
+              }
+          };
+      
+          // Send the queued pixels
+          // force (o) : also send the pixels waiting for a retry, used when the ad stops or the page is hidden
+          event.flush = function eventFlush(force){
+              var now = new Date().getTime();
+              var waiting = [];
+              var batch = trackingQueue;
+              trackingQueue = [];
+              clearTimeout(flushTimeout);
+              flushTimeout = null;
+              for(var i = 0; i < batch.length; i++){
+                  if(force || batch[i]["retryAt"] <= now){
+                      sendPixel(batch[i]);
+                  }else{
+                      waiting.push(batch[i]);
+                  }
+              }
+              trackingQueue = trackingQueue.concat(waiting);
+              if(waiting.length > 0){
+                  scheduleFlush(nextRetryDelay(now));
+              }
+          };
+      
+          // Debug hook : state of the tracking queue
+          event.getQueueState = function eventGetQueueState(){
+              var pending = [];
+              for(var i = 0; i < trackingQueue.length; i++){
+                  pending.push({"url" : trackingQueue[i]["url"], "attempts" : trackingQueue[i]["attempts"]});
+              }
+              return mergeTwoObjects({"pending" : pending}, trackingStats);
           };
       
           // Triggering an event to the Adotmob tracker
@@ -289,7 +1851,7 @@ var VpaidVideoPlayer = function() {
           event.trigger = function eventTrigger(eventName, eventType, params){
               var params = params || {};
               var eventType = eventType || "t";
-              var url = trackerEventUrl.replace("/click?","/" + eventName + "?");
+              var url = vpaid.withConsent(trackerEventUrl.replace("/click?","/" + eventName + "?"));
       
               // Case IF we trigger manually a click and no click has already triggered before
               // OR IF we trigger a non-click event that has never been triggered or an interaction event has already been triggered but less than 30 times
@@ -318,6 +1880,11 @@ var VpaidVideoPlayer = function() {
                   // Call the tracking to send the event
                   url = url + event.addParams(eventType, mergeTwoObjects(params,eventAlreadyFired[eventName]));
                   event.loadPixel(url);
+      
+                  // Report user interactions to the wrapper as well (the impression is sent as an interaction)
+                  if(eventType === "i" && eventName !== "click" && eventName !== "loaded_imp"){
+                      vpaid.interaction(eventName);
+                  }
               }
           }
       
@@ -329,7 +1896,10 @@ var VpaidVideoPlayer = function() {
           event.clickCustom = function eventClickCustom(url, cssElement, params, clickPixel){
               cssElement.addEventListener('click', function triggerRedirection(){
                   var redirect = event.buildUrl(url, clickPixel);
-                  redirect += addParams("i", params);
+                  // Without consent the redirection is the landing page itself, nothing to add
+                  if(vpaid.privacy().mode !== "none"){
+                      redirect += event.addParams("i", params);
+                  }
                   aElement.href = redirect;
                   allowRedirect = true;
               },false);
@@ -344,17 +1914,22 @@ var VpaidVideoPlayer = function() {
           // params (o) : parameters as object
           // clickPixel (o) : array of string urls that are called server to server once the user click    
           event.buildUrl = function eventBuildUrl(url, clickPixel){
-              var redirect = trackerClickUrl;
+              // Without consent the click goes straight to the landing page
+              if(vpaid.privacy().mode === "none"){
+                  return vpaid.expandMacros(url || urlRedirectionDashboard || trackerClickUrl);
+              }
+              var redirect = vpaid.withConsent(trackerClickUrl);
       
               if(url){
                   redirect = updateQueryStringParameter(redirect,"r",encodeURIComponent(url));
               }
               if(clickPixel){
                   for(var i = 0; i < clickPixel.length; i++){
-                      redirect = updateQueryStringParameter(redirect, "call[" + (nbCallsInUrl + i ) + "]", encodeURIComponent(clickPixel));
+                      redirect = updateQueryStringParameter(redirect, "call[" + (nbCallsInUrl + i ) + "]", encodeURIComponent(clickPixel[i]));
                   }
               }
-              return redirect;
+              // Expanded at click time, macros of the nested urls are found URL-encoded
+              return vpaid.expandMacros(redirect);
           };
       
           // Simple click manager that redirect to the dashboard url
@@ -371,9 +1946,31 @@ var VpaidVideoPlayer = function() {
                   interval = [3, 6, 9, 12, 20];
               }
               for(var i = 0; i < interval.length; i++){
-                  (function(x){setTimeout(function(){
+                  (function(x){timers.push(setTimeout(function(){
                       event.trigger("time-" + x + "s", 't');
-                  },x * 1000)})(interval[i])
+                  },x * 1000))})(interval[i])
+              }
+          };
+      
+          // Remove every listener, timer and node the handler added to the page
+          event.destroy = function eventDestroy(){
+              for(var i = 0; i < timers.length; i++){
+                  clearTimeout(timers[i]);
+              }
+              timers = [];
+              document.removeEventListener('DOMContentLoaded', init_load);
+              releaseInteraction();
+              if(viewObserver){
+                  viewObserver.disconnect();
+              }
+              clearInterval(viewSampler);
+              window.removeEventListener('pagehide', flushOnHide, false);
+              document.removeEventListener('visibilitychange', flushOnHide, false);
+              if(aElement){
+                  aElement.removeEventListener('click', handleRedirection, false);
+                  if(aElementCreated && aElement.parentNode){
+                      aElement.parentNode.removeChild(aElement);
+                  }
               }
           };
       
@@ -409,24 +2006,143 @@ var VpaidVideoPlayer = function() {
               if(oParams["t"] > 3000){
                   oParams["t"] = 3000;
               }
-              oParams["t"] = Math.round(oParams["t"]); 
+              oParams["t"] = Math.round(oParams["t"]); 
+      
+              //store the event type
+              oParams["et"] = eventType;
+      
+              // store the position of the interaction (not sent without consent)
+              if(eventType == "i" && vpaid.privacy().mode === "full"){
+                  oParams["p"] = pos_interact;
+              }
+              // the screen size neither, the consent can change after the handler is created
+              if(vpaid.privacy().mode === "full"){
+                  oParams["w"] = screenX;
+                  oParams["h"] = screenY;
+              }
+      
+              // combine the constant parameters and the custom parameters
+              mergeTwoObjects(oParams, constant_params);
+      
+              // add all parameters as query string
+              for(var name in oParams){
+                  params += '&p_' + name + '=' + encodeURIComponent(oParams[name]);
+              }
+              return params;
+          }
+      
+          // Send one pixel with fetch keepalive (keeps the GET of the pixel and survives the page unload),
+          // sendBeacon when fetch is not available, or an image as a last resort
+          // item (r) : queued pixel
+          function sendPixel(item){
+              item["attempts"]++;
+              var onSent = function(){ trackingStats["sent"]++; };
+              var onError = function(){ retryPixel(item); };
+              if(window.fetch){
+                  window.fetch(item["url"], {"method" : "GET", "mode" : "no-cors", "credentials" : "include", "keepalive" : true}).then(onSent, onError);
+              }else if(navigator.sendBeacon){
+                  navigator.sendBeacon(item["url"]) ? onSent() : onError();
+              }else{
+                  var img = new Image();
+                  img.onload = onSent;
+                  img.onerror = onError;
+                  img.src = item["url"];
+              }
+          }
+      
+          // Queue a failed pixel again with an exponential backoff, until TRACKING_MAX_ATTEMPTS
+          // item (r) : queued pixel
+          function retryPixel(item){
+              if(item["attempts"] >= TRACKING_MAX_ATTEMPTS){
+                  trackingStats["failed"]++;
+                  return;
+              }
+              var delay = TRACKING_RETRY_DELAY * Math.pow(2, item["attempts"] - 1);
+              trackingStats["retried"]++;
+              item["retryAt"] = new Date().getTime() + delay;
+              trackingQueue.push(item);
+              scheduleFlush(delay);
+          }
+      
+          // Flush the queue after a delay, unless a flush is already planned
+          // delay (r) : delay in ms
+          function scheduleFlush(delay){
+              if(flushTimeout === null){
+                  flushTimeout = setTimeout(function(){
+                      flushTimeout = null;
+                      event.flush();
+                  }, delay);
+              }
+          }
       
-              //store the event type
-              oParams["et"] = eventType;
+          // Delay until the next queued pixel can be retried
+          // now (r) : current time in ms
+          function nextRetryDelay(now){
+              var delay = TRACKING_BATCH_DELAY;
+              for(var i = 0; i < trackingQueue.length; i++){
+                  delay = Math.max(0, Math.min(delay, trackingQueue[i]["retryAt"] - now));
+              }
+              return delay;
+          }
       
-              // store the position of the interaction
-              if(eventType == "i"){
-                  oParams["p"] = pos_interact;
+          // Send everything before the page goes away
+          function flushOnHide(evt){
+              if(evt.type === "pagehide" || document.visibilityState === "hidden"){
+                  event.flush(true);
               }
+          }
       
-              // combine the constant parameters and the custom parameters
-              mergeTwoObjects(oParams, constant_params);
+          // True when at least 50% of the slot is in view in a visible page
+          event.isViewable = function eventIsViewable(){
+              return viewRatio >= 0.5 && document.visibilityState !== "hidden";
+          };
       
-              // add all parameters as query string
-              for(var name in oParams){
-                  params += '&p_' + name + '=' + encodeURIComponent(oParams[name]);
+          // Measure the visibility of the slot with an IntersectionObserver and trigger MRC style events :
+          // viewable_50_2s : 50% of the slot in view during 2 continuous seconds
+          // viewable_100 : 100% of the slot in view during 2 continuous seconds
+          // audible_viewable_50_2s : viewable_50_2s while the ad is audible
+          // inview_Ns : N seconds of cumulated time with 50% of the slot in view
+          // Only the time while the ad plays is counted, a pause breaks the continuous times
+          function measureViewability(){
+              if(!vpaid.slot || !window.IntersectionObserver){
+                  event.trigger("viewability_unmeasurable", "t");
+                  return;
               }
-              return params;
+              var continuous50 = 0;
+              var continuous100 = 0;
+              var continuousAudible = 0;
+              var total50 = 0;
+              var nextBucket = 0;
+              var lastSample = new Date().getTime();
+              viewObserver = new IntersectionObserver(function(entries){
+                  viewRatio = entries[entries.length - 1].intersectionRatio;
+              }, {threshold : [0, 0.5, 1]});
+              viewObserver.observe(vpaid.slot);
+              viewSampler = setInterval(function(){
+                  var now = new Date().getTime();
+                  var elapsed = now - lastSample;
+                  var inView50 = vpaid.isPlaying() && event.isViewable();
+                  // ratio can be slightly under 1 for a slot fully in view
+                  var inView100 = inView50 && viewRatio >= 0.99;
+                  lastSample = now;
+                  continuous50 = inView50 ? continuous50 + elapsed : 0;
+                  continuous100 = inView100 ? continuous100 + elapsed : 0;
+                  continuousAudible = inView50 && vpaid.isAudible() ? continuousAudible + elapsed : 0;
+                  total50 += inView50 ? elapsed : 0;
+                  if(continuous50 >= VIEW_CONTINUOUS){
+                      event.trigger("viewable_50_2s", "t");
+                  }
+                  if(continuous100 >= VIEW_CONTINUOUS){
+                      event.trigger("viewable_100", "t");
+                  }
+                  if(continuousAudible >= VIEW_CONTINUOUS){
+                      event.trigger("audible_viewable_50_2s", "t");
+                  }
+                  while(nextBucket < VIEW_BUCKETS.length && total50 >= VIEW_BUCKETS[nextBucket] * 1000){
+                      event.trigger("inview_" + VIEW_BUCKETS[nextBucket] + "s", "t");
+                      nextBucket++;
+                  }
+              }, VIEW_SAMPLE_INTERVAL);
           }
       
           // Update or create parameter in a given url with query string
@@ -451,6 +2167,22 @@ var VpaidVideoPlayer = function() {
               document.documentElement.addEventListener('touchstart', getPosition, true);
               document.documentElement.addEventListener('mousedown', getPosition, true);
           }
+
+          function releaseInteraction(){
+              document.documentElement.removeEventListener('click', getPosition, true);
+              document.documentElement.removeEventListener('touchstart', getPosition, true);
+              document.documentElement.removeEventListener('mousedown', getPosition, true);
+              pos_interact = "1_1";
+          }
+
+          // Capture the user & device data only with consent, called again when the consent changes
+          event.updateConsent = function eventUpdateConsent(){
+              if(vpaid.privacy().mode === "full"){
+                  captureInteraction();
+              }else{
+                  releaseInteraction();
+              }
+          };
       
           function getPosition(evt){
               var xPos = evt.clientX || evt.targetTouches[0].clientX;
@@ -465,9 +2197,12 @@ var VpaidVideoPlayer = function() {
               if(allowRedirect && !alreadyClicked){
                   alreadyClicked = true;
                   allowRedirect = false;
+                  // The ad opens the landing page itself
+                  vpaid.clickThru(aElement.href);
                   // Case of google ssp
-                  if(config.macro.gClick.indexOf("CLICK_URL_UNESC") === -1){
+                  if(config.macro.gClick && config.macro.gClick.indexOf("CLICK_URL_UNESC") === -1){
                       event.loadPixel(config.macro.gClick);
+                      event.flush(true);
                   }
               } else {
                   evt.preventDefault();
@@ -508,57 +2243,911 @@ var VpaidVideoPlayer = function() {
                   for(var i = 0; i < nbCallsInUrl; i++){
                   }
               }
+      
+              // FLUSH THE TRACKING QUEUE WHEN THE PAGE IS HIDDEN OR UNLOADED
+              window.addEventListener('pagehide', flushOnHide, false);
+      
+              document.addEventListener('visibilitychange', flushOnHide, false);
           }
       
           function init_load(){
+
+              // MEASURE THE VISIBILITY OF THE SLOT, once startAd has set the constant params
+              measureViewability();
       
-              // CAPTURE USER & DEVICE DATA
-              captureInteraction();
-              event.setParam({'w' : screenX, 'h' : screenY});
+              // CAPTURE USER & DEVICE DATA, only with consent
+              event.updateConsent();
       
               // EVENT LISTENER ON CLICK
               aElement = document.querySelector('#adm-redirect');
               if(!aElement){ // case if there is no a node in the DOM
                   aElement = document.createElement('a');
                   aElement.target = '_blank';
-                  aElement.href = trackerClickUrl;
+                  aElement.href = event.buildUrl(vpaid.landingUrl, vpaid.clickPixels);
                   aElement.style = "position:fixed;width:100vw;height:100vh;top:0;left:0";
                   document.querySelector('body').appendChild(aElement);
+                  aElementCreated = true;
+                  // The whole page is the click area, nothing else allows the redirection
+                  event.clickCustom(vpaid.landingUrl, aElement, {}, vpaid.clickPixels);
               }
               aElement.addEventListener('click', handleRedirection, false);
       
       
           }
           init();
-          document.addEventListener('DOMContentLoaded',init_load);
+          // Same as DOMContentLoaded when the document is already loaded : run after the current
+          // script so the click handlers registered right after createEvent come first
+          if(document.readyState === "loading"){
+              document.addEventListener('DOMContentLoaded',init_load);
+          }else{
+              timers.push(setTimeout(init_load, 0));
+          }
       
           return event;
     }
-  
-    var events = createEvent(configAdm);
-  
-    events.trigger('loaded_imp','i');
-  
-    console.log('event imp')
-    this.callEvent_('AdStarted');
-    this.callEvent_('AdImpression');
-  
-    
+  
+    this.renderVisual_();
+    // Rendered first: its CTA is the #adm-redirect anchor used by createEvent.
+    this.renderControls_();
+    var events = null;
+    if (configAdm && configAdm.macro && configAdm.macro.url) {
+      events = createEvent(configAdm, vpaidHooks);
+      this.events_ = events;
+      if (this.parameters_.debug) {
+        window['vpaidTrackingQueue'] = events.getQueueState;
+      }
+      // Report the variant with every event to compare them in analytics.
+      events.setParam(
+          {'v': this.segments_ ? 'stitched' : variant || 'default'});
+      if (this.dealership_) {
+        events.setParam(
+            {'poi': this.dealership_.poi, 'city': this.dealership_.c});
+      }
+    } else {
+      this.log('No tracker config.macro.url in AdParameters, ' +
+          'nothing is tracked');
+    }
+  
+    this.renderCompanion_(events);
+    this.renderSkip_();
+    this.bindControls_(events);
+  
+    this.callEvent_('AdStarted');
+    // loaded_imp and AdImpression follow once the audio plays, see
+    // mediaPlaying_.
+    this.play_();
+  
+    
+  };
+  
+  
+  /**
+   * Decodes a geohash into the latitude and longitude of its cell center.
+   * @param {string} geohash
+   * @return {?{lat: number, lon: number}} null if the geohash is invalid.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.decodeGeohash_ = function(geohash) {
+    var base32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+    if (typeof geohash != 'string' || geohash.length == 0) {
+      return null;
+    }
+    var lat = [-90.0, 90.0];
+    var lon = [-180.0, 180.0];
+    var isLon = true;
+    var hash = geohash.toLowerCase();
+    for (var i = 0; i < hash.length; i++) {
+      var bits = base32.indexOf(hash.charAt(i));
+      if (bits == -1) {
+        return null;
+      }
+      for (var mask = 16; mask > 0; mask >>= 1) {
+        var range = isLon ? lon : lat;
+        var mid = (range[0] + range[1]) / 2;
+        if (bits & mask) {
+          range[0] = mid;
+        } else {
+          range[1] = mid;
+        }
+        isLon = !isLon;
+      }
+    }
+    return {
+      lat: (lat[0] + lat[1]) / 2,
+      lon: (lon[0] + lon[1]) / 2
+    };
+  };
+
+
+  /**
+   * Great-circle distance between two points, in kilometers.
+   * @param {{lat: number, lon: number}} from
+   * @param {{lat: number, lon: number}} to
+   * @return {number}
+   * @private
+   */
+  VpaidVideoPlayer.prototype.distanceKm_ = function(from, to) {
+    var toRad = Math.PI / 180;
+    var dLat = (to.lat - from.lat) * toRad;
+    var dLon = (to.lon - from.lon) * toRad;
+    var a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+        Math.cos(from.lat * toRad) * Math.cos(to.lat * toRad) *
+        Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  };
+
+
+  /**
+   * Matches AdParameters.poi against the manifest: exact geohash first, then
+   * the closest dealership within maxRadius.
+   * @return {?Object} The dealership or null to play the default audio.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.resolveDealership_ = function() {
+    var POIAdm = {};
+    try {
+      POIAdm = this.parseJson_(
+          decodeURIComponent(this.parameters_.poi || '') || '{}', 'poi') || {};
+    } catch (e) {
+      // The ad can still play the default audio.
+      this.recordError_(e.code || 101, e.message, 'poi', false);
+    }
+    var poiId = POIAdm.id;
+    var dealership = this.findDealership_(this.manifest_.dealerships, poiId);
+    if (!dealership) {
+      this.log('No dealership found for ' + poiId + ', using default audio');
+    }
+    return dealership;
+  };
+
+
+  /**
+   * Finds the dealership for a POI geohash. An exact geohash match wins,
+   * otherwise the closest dealership within maxRadius is returned. Entries
+   * out of their schedule are ignored.
+   * @param {Array<Object>} dealerships Entries with a poi geohash.
+   * @param {string} poiId The incoming geohash.
+   * @return {?Object} The dealership or null if none is close enough.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.findDealership_ = function(dealerships, poiId) {
+    var now = this.now_();
+    for (var i = 0; i < dealerships.length; i++) {
+      if (dealerships[i].poi == poiId &&
+          this.isScheduled_(dealerships[i].schedule, now)) {
+        return dealerships[i];
+      }
+    }
+    var origin = this.decodeGeohash_(poiId);
+    if (!origin) {
+      return null;
+    }
+    var closest = null;
+    var closestDistance = this.geoConfig_['maxRadius'];
+    for (var j = 0; j < dealerships.length; j++) {
+      var position = this.decodeGeohash_(dealerships[j].poi);
+      if (!position || !this.isScheduled_(dealerships[j].schedule, now)) {
+        continue;
+      }
+      var distance = this.distanceKm_(origin, position);
+      if (distance <= closestDistance) {
+        closest = dealerships[j];
+        closestDistance = distance;
+      }
+    }
+    return closest;
+  };
+
+
+  /**
+   * Chooses the audio variant according to AdParameters.rotation:
+   *   {strategy: 'weighted', weights: {lom1: 2, lom2: 1, lom3: 1}} picks a
+   *     variant at random, equal weights by default,
+   *   {strategy: 'sequential'} plays lom1, lom2 then lom3 across impressions,
+   *     the position of the user in the story is kept in localStorage,
+   *   {strategy: 'fixed', variant: 'lom2'} always plays the same variant (QA),
+   *     a weighted one while it is out of its schedule.
+   * @param {!Array<string>} variants The variants scheduled now.
+   * @return {?string} The variant, null when none is scheduled.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.selectVariant_ = function(variants) {
+    var rotation = this.parameters_.rotation || {};
+    if (!variants.length) {
+      this.variant_ = null;
+    } else if (rotation.strategy == 'fixed' &&
+        variants.indexOf(rotation.variant) != -1) {
+      this.variant_ = rotation.variant;
+    } else if (rotation.strategy == 'sequential') {
+      this.variant_ = this.nextStoryVariant_(variants);
+    } else {
+      this.variant_ = this.weightedVariant_(variants, rotation.weights || {});
+    }
+    return this.variant_;
+  };
+
+
+  /**
+   * Picks a variant at random according to its weight.
+   * @param {!Array<string>} variants The variants to pick from.
+   * @param {Object<string, number>} weights Missing variants weigh 1.
+   * @return {string}
+   * @private
+   */
+  VpaidVideoPlayer.prototype.weightedVariant_ = function(variants, weights) {
+    var total = 0;
+    var variantWeights = [];
+    for (var i = 0; i < variants.length; i++) {
+      var weight = variants[i] in weights ? Number(weights[variants[i]]) : 1;
+      weight = weight > 0 ? weight : 0;
+      variantWeights.push(weight);
+      total += weight;
+    }
+    var draw = Math.random() * total;
+    for (var j = 0; j < variants.length; j++) {
+      if (draw < variantWeights[j]) {
+        return variants[j];
+      }
+      draw -= variantWeights[j];
+    }
+    return variants[0];
+  };
+
+
+  /**
+   * Returns the next variant of the story and saves it in localStorage, per
+   * campaign. Variants out of their schedule are skipped. Falls back to the
+   * first variant when localStorage is not available.
+   * @param {!Array<string>} variants The variants scheduled now.
+   * @return {string}
+   * @private
+   */
+  VpaidVideoPlayer.prototype.nextStoryVariant_ = function(variants) {
+    var story = VpaidVideoPlayer.VARIANTS_;
+    var key = 'vpaid_story_' + ((this.manifest_ && this.manifest_.campaign) || '');
+    if (this.consent_.pending || (this.consent_.gdprApplies &&
+        !this.consent_.purposes[VpaidVideoPlayer.PURPOSE_STORAGE_])) {
+      // No consent to store information on the device.
+      return variants[0];
+    }
+    try {
+      var last = story.indexOf(window.localStorage.getItem(key));
+      var next = variants[0];
+      for (var i = 1; i <= story.length; i++) {
+        if (variants.indexOf(story[(last + i) % story.length]) != -1) {
+          next = story[(last + i) % story.length];
+          break;
+        }
+      }
+      window.localStorage.setItem(key, next);
+      return next;
+    } catch (e) {
+      // Storage can be disabled or blocked in ad iframes.
+      return variants[0];
+    }
+  };
+
+
+  /**
+   * The variants of the story scheduled now.
+   * @return {!Array<string>}
+   * @private
+   */
+  VpaidVideoPlayer.prototype.scheduledVariants_ = function() {
+    var variants = [];
+    var now = this.now_();
+    for (var i = 0; i < VpaidVideoPlayer.VARIANTS_.length; i++) {
+      var variant = VpaidVideoPlayer.VARIANTS_[i];
+      if (this.isScheduled_(this.audioSchedule_(variant), now)) {
+        variants.push(variant);
+      }
+    }
+    return variants;
+  };
+
+
+  /**
+   * Schedule of an audio: the one of the dealership wins over the one of the
+   * campaign.
+   * @param {string} audio lom1, lom2, lom3, tag, intro, outro or
+   *     defaultAudio.
+   * @return {?Object} See SCHEDULE_SCHEMA_, null when always played.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.audioSchedule_ = function(audio) {
+    var dealershipSchedules =
+        (this.dealership_ && this.dealership_.schedules) || {};
+    var campaignSchedules = (this.manifest_ && this.manifest_.schedules) || {};
+    return dealershipSchedules[audio] || campaignSchedules[audio] || null;
+  };
+
+
+  /**
+   * Whether a schedule covers a time, in the local time of the user.
+   * @param {?Object} schedule See SCHEDULE_SCHEMA_, null always matches.
+   * @param {Date=} opt_now Defaults to now_().
+   * @return {boolean}
+   * @private
+   */
+  VpaidVideoPlayer.prototype.isScheduled_ = function(schedule, opt_now) {
+    if (!schedule) {
+      return true;
+    }
+    var now = opt_now || this.now_();
+    if (schedule.start && now < this.scheduleDate_(schedule.start, false)) {
+      return false;
+    }
+    if (schedule.end && now >= this.scheduleDate_(schedule.end, true)) {
+      return false;
+    }
+    if (schedule.days && schedule.days.indexOf(now.getDay()) == -1) {
+      return false;
+    }
+    if (schedule.hours) {
+      var hour = now.getHours() + now.getMinutes() / 60;
+      var from = schedule.hours[0];
+      var to = schedule.hours[1];
+      if (from <= to ? hour < from || hour >= to : hour < from && hour >= to) {
+        return false;
+      }
+    }
+    return true;
+  };
+
+
+  /**
+   * Parses a schedule bound. A YYYY-MM-DD date is local midnight, of the
+   * next day for an end date so that the end day is included.
+   * @param {string} value A date or an ISO date-time.
+   * @param {boolean} isEnd Whether the value is an end date.
+   * @return {!Date}
+   * @private
+   */
+  VpaidVideoPlayer.prototype.scheduleDate_ = function(value, isEnd) {
+    var date = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!date) {
+      return new Date(value);
+    }
+    return new Date(Number(date[1]), Number(date[2]) - 1,
+        Number(date[3]) + (isEnd ? 1 : 0));
+  };
+
+
+  /**
+   * Current time of the schedules, AdParameters.now (an ISO date-time) can
+   * set it to check a flight ahead of time (QA).
+   * @return {!Date}
+   * @private
+   */
+  VpaidVideoPlayer.prototype.now_ = function() {
+    return this.parameters_.now ? new Date(this.parameters_.now) : new Date();
+  };
+
+
+  /**
+   * Label of the call to action buttons.
+   * @return {string}
+   * @private
+   */
+  VpaidVideoPlayer.prototype.ctaLabel_ = function() {
+    return (this.manifest_ && this.manifest_.cta) || 'En savoir plus';
+  };
+
+
+  /**
+   * Escapes a string for HTML text and attributes.
+   * @param {*} value
+   * @return {string}
+   * @private
+   */
+  VpaidVideoPlayer.prototype.escapeHtml_ = function(value) {
+    return String(value == null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+  };
+
+
+  /**
+   * Size of the companion, from AdParameters.companion.
+   * @return {{width: number, height: number}}
+   * @private
+   */
+  VpaidVideoPlayer.prototype.companionSize_ = function() {
+    var companion = this.parameters_.companion || {};
+    return {
+      width: Number(companion.width) || 300,
+      height: Number(companion.height) || 250
+    };
+  };
+
+
+  /**
+   * HTML of the companion of the matched dealership: static map, city,
+   * address, opening hours and a call to action.
+   * @param {string} clickUrl Url opened by the call to action.
+   * @return {string}
+   * @private
+   */
+  VpaidVideoPlayer.prototype.companionHtml_ = function(clickUrl) {
+    var dealership = this.dealership_;
+    var size = this.companionSize_();
+    var cta = this.ctaLabel_();
+    var html = '<div style="box-sizing:border-box;width:' + size.width +
+        'px;height:' + size.height + 'px;display:flex;flex-direction:column;' +
+        'overflow:hidden;background:#fff;color:#000;font-family:Arial,sans-serif">';
+    if (dealership.mapImage) {
+      html += '<img src="' + this.escapeHtml_(dealership.mapImage) +
+          '" alt="" style="display:block;width:100%;height:45%;object-fit:cover">';
+    }
+    html += '<div style="flex:1;padding:8px 12px;font-size:12px;line-height:1.4">' +
+        '<div style="font-size:16px;font-weight:bold">' +
+        this.escapeHtml_(dealership.c) + '</div>';
+    if (dealership.address) {
+      html += '<div>' + this.escapeHtml_(dealership.address) + '</div>';
+    }
+    if (dealership.hours) {
+      html += '<div style="color:#555">' + this.escapeHtml_(dealership.hours) +
+          '</div>';
+    }
+    html += '</div><a data-adm-cta href="' + this.escapeHtml_(clickUrl) +
+        '" target="_blank" style="display:block;margin:0 12px 12px;padding:8px;' +
+        'background:#000;color:#fff;text-align:center;text-decoration:none;' +
+        'font-size:14px">' + this.escapeHtml_(cta) + '</a></div>';
+    return html;
+  };
+
+
+  /**
+   * Landing page of the matched dealership, tagged with the UTM parameters of
+   * the impression: utm_campaign, utm_term (city), utm_content (variant) and
+   * utm_poi, and utm_source/utm_medium from manifest.utm. UTM parameters
+   * already in the url are kept.
+   * @return {?string} null when the dealership has no landing page.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.landingUrl_ = function() {
+    var dealership = this.dealership_;
+    if (!dealership || !dealership.landingUrl) {
+      return null;
+    }
+    var manifestUtm = this.manifest_.utm || {};
+    var utm = {
+      'utm_source': manifestUtm.source || 'adotmob',
+      'utm_medium': manifestUtm.medium || 'audio',
+      'utm_campaign': this.manifest_.campaign || '',
+      'utm_term': dealership.c,
+      'utm_content': this.segments_ ? 'stitched' : this.variant_ || '',
+      'utm_poi': dealership.poi
+    };
+    var parts = dealership.landingUrl.split('#');
+    var url = parts[0];
+    for (var key in utm) {
+      if (utm[key] && !new RegExp('[?&]' + key + '=').test(url)) {
+        url += (url.indexOf('?') > -1 ? '&' : '?') + key + '=' +
+            encodeURIComponent(utm[key]);
+      }
+    }
+    return url + (parts.length > 1 ? '#' + parts.slice(1).join('#') : '');
+  };
+
+
+  /**
+   * Companions returned by getAdCompanions, as VAST CompanionAds XML.
+   * @return {string} Empty when no dealership matched.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.buildCompanions_ = function() {
+    if (!this.dealership_) {
+      return '';
+    }
+    var config = this.parameters_.config || {};
+    var clickUrl = (config.macro && config.macro.url) || '';
+    var landing = this.landingUrl_();
+    // As in event.buildUrl.
+    if (this.consentMode_() == 'none') {
+      // Without consent the click goes straight to the landing page.
+      var dashboard = /[?&]r=([^&#]*)/.exec(clickUrl);
+      clickUrl = landing ||
+          (dashboard && decodeURIComponent(dashboard[1])) || clickUrl;
+    } else if (clickUrl) {
+      clickUrl = this.withConsent_(clickUrl);
+      if (landing) {
+        // Redirection of the tracker.
+        var redirect = 'r=' + encodeURIComponent(landing);
+        clickUrl = /[?&]r=/.test(clickUrl) ?
+            clickUrl.replace(/([?&])r=[^&]*/, '$1' + redirect) :
+            clickUrl + (clickUrl.indexOf('?') > -1 ? '&' : '?') + redirect;
+      }
+    }
+    clickUrl = this.expandMacros_(clickUrl);
+    var size = this.companionSize_();
+    var cdata = function(value) {
+      return '<![CDATA[' + value.replace(/]]>/g, ']]]]><![CDATA[>') + ']]>';
+    };
+    return '<CompanionAds>' +
+        '<Companion width="' + size.width + '" height="' + size.height + '">' +
+        '<HTMLResource>' + cdata(this.companionHtml_(clickUrl)) +
+        '</HTMLResource>' +
+        '<CompanionClickThrough>' + cdata(clickUrl) +
+        '</CompanionClickThrough>' +
+        '</Companion>' +
+        '</CompanionAds>';
+  };
+
+
+  /**
+   * Renders the companion into the element matching
+   * AdParameters.companion.container, when there is one.
+   * @param {?Object} events The tracker event handler, null without tracker.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.renderCompanion_ = function(events) {
+    var companion = this.parameters_.companion || {};
+    if (!this.dealership_ || !(companion.container || this.isCompanionLayout_())) {
+      return;
+    }
+    // In the companion-only layout the banner takes the place of the visual.
+    var container = this.isCompanionLayout_() ? this.visualElement_ :
+        document.querySelector(companion.container);
+    if (!container) {
+      this.log('Companion container ' + (companion.container || 'slot') +
+          ' not found');
+      return;
+    }
+    container.innerHTML = this.companionHtml_(events ?
+        events.buildUrl(this.landingUrl_(), this.dealership_.clickPixels) :
+        this.landingUrl_() || '');
+    var cta = container.querySelector('[data-adm-cta]');
+    if (this.isCompanionLayout_()) {
+      // Without the controls overlay the companion CTA is the redirection
+      // anchor of the tracker, so that it does not add a full page one.
+      cta.id = 'adm-redirect';
+      this.bindCta_(events, cta);
+    }
+    cta.addEventListener('click', function() {
+      if (events) {
+        events.trigger('companion_click', 'i');
+      }
+    }, false);
+    this.companionContainer_ = container;
+  };
+
+
+  /**
+   * Called by the wrapper to stop the ad.
+   */
+  VpaidVideoPlayer.prototype.stopAd = function() {
+    // this.log('Stopping ad');
+    if (!this.checkState_('stopAd')) {
+      return;
+    }
+    this.end_('AdStopped');
+  };
+
+
+  /**
+   * Stops playback, cleans up everything the ad added to the page and fires
+   * the event ending the ad.
+   * @param {string} eventType AdStopped or AdSkipped.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.end_ = function(eventType) {
+    this.state_ = 'stopped';
+    this.unwatch_();
+    this.collapse_();
+    if (this.removeCmpListener_) {
+      this.removeCmpListener_();
+      this.removeCmpListener_ = null;
+    }
+    if (this.intervalId_){
+      clearInterval(this.intervalId_)
+      this.intervalId_ = null;
+    }
+    if (this.videoSlot_) {
+      this.videoSlot_.pause();
+      for (var type in this.videoListeners_) {
+        this.videoSlot_.removeEventListener(
+            type, this.videoListeners_[type], false);
+      }
+      this.videoListeners_ = {};
+    }
+    if (this.companionContainer_) {
+      this.companionContainer_.innerHTML = '';
+      this.companionContainer_ = null;
+    }
+    if (this.skipElement_ && this.skipElement_.parentNode) {
+      this.skipElement_.parentNode.removeChild(this.skipElement_);
+    }
+    this.skipElement_ = null;
+    if (this.controlsElement_ && this.controlsElement_.parentNode) {
+      this.controlsElement_.parentNode.removeChild(this.controlsElement_);
+    }
+    this.controlsElement_ = null;
+    if (this.visualElement_ && this.visualElement_.parentNode) {
+      this.visualElement_.parentNode.removeChild(this.visualElement_);
+    }
+    this.visualElement_ = null;
+    if (this.isAudioMode_() && this.videoSlot_ && this.videoSlot_.parentNode) {
+      this.videoSlot_.parentNode.removeChild(this.videoSlot_);
+    }
+    // Send the pending tracker pixels before the ad is removed.
+    if (this.events_) {
+      this.events_.flush(true);
+      this.events_.destroy();
+    }
+    // Calling AdStopped immediately terminates the ad. Setting a timeout allows
+    // events to go through.
+    setTimeout(this.callEvent_.bind(this, eventType), 75);
+  };
+
+
+  /**
+   * Whether the ad runs in audio mode (AdParameters.mode = 'audio'), for
+   * podcast and streaming audio players.
+   * @return {boolean}
+   * @private
+   */
+  VpaidVideoPlayer.prototype.isAudioMode_ = function() {
+    return this.parameters_.mode == 'audio';
+  };
+
+
+  /**
+   * Whether the slot shows the companion banner only
+   * (AdParameters.layout = 'companion' in audio mode).
+   * @return {boolean}
+   * @private
+   */
+  VpaidVideoPlayer.prototype.isCompanionLayout_ = function() {
+    return this.isAudioMode_() && this.parameters_.layout == 'companion';
+  };
+
+
+  /**
+   * Renders the visual of the audio mode in the slot: AdParameters.visual
+   * when set, an animated equalizer otherwise. In the companion-only layout
+   * it is the container the companion is rendered into.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.renderVisual_ = function() {
+    if (!this.isAudioMode_() || !this.slot_) {
+      return;
+    }
+    var computedStyle = window.getComputedStyle ?
+        window.getComputedStyle(this.slot_) : null;
+    if (computedStyle && computedStyle.position == 'static') {
+      this.slot_.style.position = 'relative';
+    }
+    var visual = document.createElement('div');
+    visual.style.cssText = 'position:absolute;top:0;right:0;bottom:0;left:0;' +
+        'display:flex;align-items:center;justify-content:center;' +
+        'overflow:hidden;background:#000';
+    if (this.isCompanionLayout_()) {
+      // Filled by renderCompanion_.
+    } else if (this.parameters_.visual) {
+      visual.innerHTML = '<img src="' + this.escapeHtml_(this.parameters_.visual) +
+          '" alt="" style="max-width:100%;max-height:100%;object-fit:contain">';
+    } else {
+      var bars = '';
+      for (var i = 0; i < 5; i++) {
+        bars += '<span style="width:8px;height:48px;margin:0 3px;background:#fff;' +
+            'transform-origin:bottom;animation:adm-eq .9s ' + (i * 0.15) +
+            's ease-in-out infinite alternate"></span>';
+      }
+      visual.innerHTML = '<style>@keyframes adm-eq{from{transform:scaleY(.2)}' +
+          'to{transform:scaleY(1)}}</style>' + bars;
+    }
+    this.slot_.appendChild(visual);
+    this.visualElement_ = visual;
   };
-  
-  
+
+
   /**
-   * Called by the wrapper to stop the ad.
+   * Renders the controls overlay in the slot: dealership name, CTA, close
+   * button, mute toggle and progress bar. Disabled with AdParameters.controls = false.
+   * The CTA is the #adm-redirect anchor the tracker redirects through, so
+   * this runs before createEvent.
+   * @private
    */
-  VpaidVideoPlayer.prototype.stopAd = function() {
-    // this.log('Stopping ad');
-    if (this.intervalId_){
-      clearInterval(this.intervalId_)
+  VpaidVideoPlayer.prototype.renderControls_ = function() {
+    if (this.parameters_.controls === false || this.isCompanionLayout_() ||
+        !this.slot_) {
+      return;
     }
-    // Calling AdStopped immediately terminates the ad. Setting a timeout allows
-    // events to go through.
-    var callback = this.callEvent_.bind(this);
-    setTimeout(callback, 75, ['AdStopped']);
+    var computedStyle = window.getComputedStyle ?
+        window.getComputedStyle(this.slot_) : null;
+    if (computedStyle && computedStyle.position == 'static') {
+      this.slot_.style.position = 'relative';
+    }
+    var name = this.dealership_ ? this.dealership_.c : '';
+    var controls = document.createElement('div');
+    controls.style.cssText = 'position:absolute;top:0;right:0;bottom:0;' +
+        'left:0;z-index:1;pointer-events:none;font:14px Arial,sans-serif;' +
+        'color:#fff';
+    controls.innerHTML =
+        '<div style="position:absolute;top:12px;left:12px;font-weight:bold;' +
+        'text-shadow:0 1px 2px #000">' + this.escapeHtml_(name) + '</div>' +
+        '<a id="adm-redirect" data-adm-control="cta" target="_blank" ' +
+        'style="position:absolute;top:12px;right:56px;padding:8px 16px;' +
+        'background:#fff;color:#000;text-decoration:none;font-weight:bold;' +
+        'pointer-events:auto">' + this.escapeHtml_(this.ctaLabel_()) + '</a>' +
+        '<button type="button" data-adm-control="close" aria-label="Fermer" ' +
+        'style="position:absolute;top:12px;right:12px;width:36px;height:36px;' +
+        'border:0;border-radius:50%;background:rgba(0,0,0,.7);color:#fff;' +
+        'font-size:20px;cursor:pointer;pointer-events:auto">\u00D7</button>' +
+        '<button type="button" data-adm-control="mute" style="position:absolute;' +
+        'bottom:16px;left:12px;width:36px;height:36px;border:0;' +
+        'border-radius:50%;background:rgba(0,0,0,.7);color:#fff;' +
+        'font-size:18px;cursor:pointer;pointer-events:auto"></button>' +
+        '<button type="button" data-adm-control="expand" ' +
+        'aria-label="Agrandir" style="position:absolute;bottom:16px;' +
+        'left:56px;width:36px;height:36px;border:0;border-radius:50%;' +
+        'background:rgba(0,0,0,.7);color:#fff;font-size:18px;' +
+        'cursor:pointer;pointer-events:auto">\u2922</button>' +
+        '<div style="position:absolute;right:0;bottom:0;left:0;height:4px;' +
+        'background:rgba(255,255,255,.3)"><div data-adm-control="progress" ' +
+        'style="width:0;height:100%;background:#fff"></div></div>';
+    this.slot_.appendChild(controls);
+    this.controlsElement_ = controls;
+    this.updateMuteButton_();
+    this.updateProgress_();
+  };
+
+
+  /**
+   * Makes the #adm-redirect anchor redirect through the tracker: to the
+   * dealership landing page, to AdParameters.cc or to the dashboard url.
+   * Without tracker it links to the landing page or cc directly.
+   * @param {?Object} events The tracker event handler.
+   * @param {!Element} cta The #adm-redirect anchor.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.bindCta_ = function(events, cta) {
+    var landing = this.landingUrl_();
+    if (!events) {
+      var url = landing || this.parameters_.cc;
+      if (!url) {
+        cta.style.display = 'none';
+        return;
+      }
+      cta.href = url;
+      cta.addEventListener('click', (function() {
+        this.callEvent_('AdClickThru', url, '0', false);
+      }).bind(this), false);
+    } else if (landing) {
+      events.clickCustom(landing, cta, {},
+          this.dealership_.clickPixels || undefined);
+    } else if (this.parameters_.cc) {
+      // Dynamic click-through url appended to the dashboard redirection.
+      events.clickDynCCFromDB(this.parameters_.cc, true, cta, {});
+    } else {
+      events.click(cta, {});
+    }
+  };
+
+
+  /**
+   * Wires the controls overlay to the tracker. Every control reports its own
+   * interaction event.
+   * @param {?Object} events The tracker event handler, null without tracker.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.bindControls_ = function(events) {
+    if (!this.controlsElement_) {
+      return;
+    }
+    var cta = this.controlsElement_.querySelector('[data-adm-control="cta"]');
+    this.bindCta_(events, cta);
+    if (!events) {
+      // Without tracker the controls only drive the ad.
+      events = {trigger: function() {}};
+    }
+    cta.addEventListener('click', function() {
+      events.trigger('cta_click', 'i');
+    }, false);
+    var mute = this.controlsElement_.querySelector('[data-adm-control="mute"]');
+    mute.addEventListener('click', (function() {
+      this.muteButtonOnClick_();
+      events.trigger(this.attributes_['volume'] == 0 ? 'mute' : 'unmute', 'i');
+    }).bind(this), false);
+    var close =
+        this.controlsElement_.querySelector('[data-adm-control="close"]');
+    close.addEventListener('click', this.guard_('close', function() {
+      events.trigger('close', 'i');
+      this.userClose_();
+    }), false);
+    var expand =
+        this.controlsElement_.querySelector('[data-adm-control="expand"]');
+    expand.addEventListener(
+        'click', this.guard_('expand', this.userExpand_), false);
+  };
+
+
+  /**
+   * Shows the mute state on the mute toggle.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.updateMuteButton_ = function() {
+    if (!this.controlsElement_) {
+      return;
+    }
+    var muted = this.attributes_['volume'] == 0;
+    var mute = this.controlsElement_.querySelector('[data-adm-control="mute"]');
+    mute.textContent = muted ? '\uD83D\uDD07' : '\uD83D\uDD0A';
+    mute.setAttribute('aria-label', muted ? 'Activer le son' : 'Couper le son');
+  };
+
+
+  /**
+   * Moves the progress bar according to the remaining time.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.updateProgress_ = function() {
+    if (!this.controlsElement_) {
+      return;
+    }
+    var duration = this.attributes_['duration'];
+    var remaining = this.attributes_['remainingTime'];
+    var percent = duration > 0 ? (duration - remaining) * 100 / duration : 0;
+    percent = Math.max(0, Math.min(100, percent));
+    this.controlsElement_.querySelector('[data-adm-control="progress"]')
+        .style.width = percent + '%';
+  };
+
+
+  /**
+   * Renders the skip countdown in the slot when AdParameters.skipOffset (in
+   * seconds) is set.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.renderSkip_ = function() {
+    var skipOffset = this.parameters_.skipOffset;
+    if (skipOffset == null || isNaN(Number(skipOffset)) || !this.slot_) {
+      return;
+    }
+    var computedStyle = window.getComputedStyle ?
+        window.getComputedStyle(this.slot_) : null;
+    if (computedStyle && computedStyle.position == 'static') {
+      this.slot_.style.position = 'relative';
+    }
+    this.skipElement_ = document.createElement('button');
+    this.skipElement_.type = 'button';
+    this.skipElement_.disabled = true;
+    this.skipElement_.style.cssText = 'position:absolute;right:0;bottom:16px;' +
+        'z-index:2;padding:8px 12px;border:1px solid rgba(255,255,255,.5);' +
+        'border-right:0;background:rgba(0,0,0,.7);color:#fff;' +
+        'font:14px Arial,sans-serif;cursor:default';
+    this.skipElement_.addEventListener('click', (function() {
+      // The player skips the ad the same way the wrapper would.
+      this.skipAd();
+    }).bind(this), false);
+    this.slot_.appendChild(this.skipElement_);
+    this.updateSkip_();
+  };
+
+
+  /**
+   * Updates the countdown and makes the ad skippable once the skip offset
+   * has passed.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.updateSkip_ = function() {
+    if (!this.skipElement_ || this.attributes_['skippableState']) {
+      return;
+    }
+    var remaining = Math.ceil(
+        Number(this.parameters_.skipOffset) - this.currentTime_());
+    if (remaining > 0) {
+      this.skipElement_.textContent = 'Passer dans ' + remaining + ' s';
+      return;
+    }
+    this.skipElement_.textContent = 'Passer la publicité \u25B6';
+    this.skipElement_.disabled = false;
+    this.skipElement_.style.cursor = 'pointer';
+    this.attributes_['skippableState'] = true;
+    this.callEvent_('AdSkippableStateChange');
   };
   
   
@@ -566,9 +3155,15 @@ var VpaidVideoPlayer = function() {
    * @param {number} value The volume in percentage.
    */
   VpaidVideoPlayer.prototype.setAdVolume = function(value) {
+    if (!this.checkState_('setAdVolume')) {
+      return;
+    }
     this.attributes_['volume'] = value;
     // this.log('setAdVolume ' + value);
     this.videoSlot_.volume = value / 100.0;
+    // Also lifts the mute play_ sets when autoplay with sound is blocked.
+    this.videoSlot_.muted = value == 0;
+    this.updateMuteButton_();
     this.callEvent_('AdVolumeChange');
   };
   
@@ -589,6 +3184,18 @@ var VpaidVideoPlayer = function() {
    */
   VpaidVideoPlayer.prototype.resizeAd = function(width, height, viewMode) {
     // this.log('resizeAd ' + width + 'x' + height + ' ' + viewMode);
+    if (!this.checkState_('resizeAd')) {
+      return;
+    }
+    if (this.collapsedState_) {
+      // The expanded ad fills the screen, the size applies once collapsed.
+      this.collapsedState_.width = width;
+      this.collapsedState_.height = height;
+      this.collapsedState_.viewMode = viewMode;
+      // VPAID answers every resizeAd with AdSizeChange.
+      this.callEvent_('AdSizeChange');
+      return;
+    }
     this.attributes_['width'] = width;
     this.attributes_['height'] = height;
     this.attributes_['viewMode'] = viewMode;
@@ -602,10 +3209,16 @@ var VpaidVideoPlayer = function() {
    */
   VpaidVideoPlayer.prototype.pauseAd = function() {
     // this.log('pauseAd');
+    if (!this.checkState_('pauseAd')) {
+      return;
+    }
+    this.state_ = 'paused';
+    this.unwatch_();
     this.videoSlot_.pause();
     this.callEvent_('AdPaused');
     if (this.intervalId_){
       clearInterval(this.intervalId_)
+      this.intervalId_ = null;
     }
   };
   
@@ -615,10 +3228,15 @@ var VpaidVideoPlayer = function() {
    */
   VpaidVideoPlayer.prototype.resumeAd = function() {
     // this.log('resumeAd');
-    this.videoSlot_.play();
+    if (!this.checkState_('resumeAd')) {
+      return;
+    }
+    this.state_ = 'playing';
+    this.play_();
     this.callEvent_('AdPlaying');
     var callback = (function(){
       this.attributes_['remainingTime'] -= 0.25;
+      this.updateProgress_();
       this.callEvent_('AdRemainingTimeChange');
     }).bind(this);
     this.intervalId_ = setInterval(callback, 250);
@@ -626,15 +3244,16 @@ var VpaidVideoPlayer = function() {
   
   
   /**
-   * Expands the ad.
+   * Expands the ad: the slot goes fullscreen with the dealership layout.
    */
   VpaidVideoPlayer.prototype.expandAd = function() {
     // this.log('expandAd');
-    this.attributes_['expanded'] = true;
-    if (elem.requestFullscreen) {
-      elem.requestFullscreen();
+    if (!this.checkState_('expandAd')) {
+      return;
+    }
+    if (this.expand_()) {
+      this.callEvent_('AdExpandedChange');
     }
-    this.callEvent_('AdExpanded');
   };
   
   
@@ -659,11 +3278,298 @@ var VpaidVideoPlayer = function() {
   
   
   /**
-   * Collapses the ad.
+   * Collapses the ad back to its size before expandAd.
    */
   VpaidVideoPlayer.prototype.collapseAd = function() {
     // this.log('collapseAd');
+    if (!this.checkState_('collapseAd')) {
+      return;
+    }
+    if (this.collapse_()) {
+      this.callEvent_('AdExpandedChange');
+    }
+  };
+
+
+  /**
+   * Makes the slot fill the window, requests fullscreen and shows the
+   * expanded layout. The size attributes become the screen size and
+   * viewMode fullscreen until collapse_.
+   * @return {boolean} False when the ad is already expanded.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.expand_ = function() {
+    if (this.collapsedState_ || !this.slot_) {
+      return false;
+    }
+    this.collapsedState_ = {
+      width: this.attributes_['width'],
+      height: this.attributes_['height'],
+      viewMode: this.attributes_['viewMode'],
+      slotStyle: this.slot_.style.cssText
+    };
+    // Also the fallback when fullscreen is not allowed.
+    var style = this.slot_.style;
+    style.position = 'fixed';
+    style.top = '0';
+    style.left = '0';
+    style.width = '100%';
+    style.height = '100%';
+    style.zIndex = '2147483647';
+    style.background = '#000';
+    this.requestFullscreen_();
+    this.attributes_['expanded'] = true;
+    this.attributes_['viewMode'] = 'fullscreen';
+    this.setSize_(
+        this.fullscreenElement_ ? screen.width : window.innerWidth,
+        this.fullscreenElement_ ? screen.height : window.innerHeight);
+    this.renderExpanded_();
+    this.listenWhileExpanded_(document, 'keydown', function(e) {
+      if (e.key == 'Escape' || e.keyCode == 27) {
+        this.userCollapse_();
+      }
+    });
+    return true;
+  };
+
+
+  /**
+   * Requests fullscreen for the slot, or for the iframe hosting it when the
+   * ad iframe does not allow fullscreen. Sets fullscreenElement_ and
+   * listens to the user leaving fullscreen.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.requestFullscreen_ = function() {
+    var target = this.slot_;
+    if (!document.fullscreenEnabled && !document.webkitFullscreenEnabled) {
+      try {
+        target = window.frameElement;
+      } catch (e) {
+        // Cross-origin host, the slot only fills the iframe.
+        target = null;
+      }
+    }
+    var request = target &&
+        (target.requestFullscreen || target.webkitRequestFullscreen);
+    if (!request) {
+      return;
+    }
+    this.fullscreenElement_ = target;
+    var doc = target.ownerDocument;
+    var onChange = function() {
+      var current = doc.fullscreenElement || doc.webkitFullscreenElement;
+      if (current != this.fullscreenElement_) {
+        this.fullscreenElement_ = null;
+        this.userCollapse_();
+      }
+    };
+    this.listenWhileExpanded_(doc, 'fullscreenchange', onChange);
+    this.listenWhileExpanded_(doc, 'webkitfullscreenchange', onChange);
+    var promise = request.call(target);
+    if (promise && promise.catch) {
+      promise.catch(this.guard_('expandAd', function(error) {
+        // The slot still fills the window.
+        this.log('Fullscreen refused: ' + error.message);
+        if (this.fullscreenElement_ == target) {
+          this.fullscreenElement_ = null;
+          this.setSize_(window.innerWidth, window.innerHeight);
+        }
+      }));
+    }
+  };
+
+
+  /**
+   * Sets the size attributes and resizes the media element, firing
+   * AdSizeChange when the size changes.
+   * @param {number} width
+   * @param {number} height
+   * @private
+   */
+  VpaidVideoPlayer.prototype.setSize_ = function(width, height) {
+    var changed = width != this.attributes_['width'] ||
+        height != this.attributes_['height'];
+    this.attributes_['width'] = width;
+    this.attributes_['height'] = height;
+    this.updateVideoPlayerSize_();
+    if (changed) {
+      this.callEvent_('AdSizeChange');
+    }
+  };
+
+
+  /**
+   * Adds a listener removed by collapse_.
+   * @param {!EventTarget} target
+   * @param {string} type
+   * @param {!Function} listener Called with the ad as this.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.listenWhileExpanded_ = function(
+      target,
+      type,
+      listener) {
+    var guarded = this.guard_(type, listener);
+    target.addEventListener(type, guarded, false);
+    this.expandListeners_.push(
+        {target: target, type: type, listener: guarded});
+  };
+
+
+  /**
+   * Leaves fullscreen and restores the slot, the size and the view mode
+   * saved by expand_.
+   * @return {boolean} False when the ad is not expanded.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.collapse_ = function() {
+    var collapsed = this.collapsedState_;
+    if (!collapsed) {
+      return false;
+    }
+    this.collapsedState_ = null;
+    for (var i = 0; i < this.expandListeners_.length; i++) {
+      var entry = this.expandListeners_[i];
+      entry.target.removeEventListener(entry.type, entry.listener, false);
+    }
+    this.expandListeners_ = [];
+    var target = this.fullscreenElement_;
+    this.fullscreenElement_ = null;
+    if (target) {
+      var doc = target.ownerDocument;
+      var exit = doc.exitFullscreen || doc.webkitExitFullscreen;
+      if (exit &&
+          (doc.fullscreenElement || doc.webkitFullscreenElement) == target) {
+        var promise = exit.call(doc);
+        if (promise && promise.catch) {
+          promise.catch(function() {});
+        }
+      }
+    }
+    if (this.expandedElement_ && this.expandedElement_.parentNode) {
+      this.expandedElement_.parentNode.removeChild(this.expandedElement_);
+    }
+    this.expandedElement_ = null;
+    this.slot_.style.cssText = collapsed.slotStyle;
     this.attributes_['expanded'] = false;
+    this.attributes_['viewMode'] = collapsed.viewMode;
+    this.setSize_(collapsed.width, collapsed.height);
+    return true;
+  };
+
+
+  /**
+   * Called when the user expands the ad from its controls.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.userExpand_ = function() {
+    if (!this.expand_()) {
+      return;
+    }
+    this.callEvent_('AdExpandedChange');
+    this.userAcceptInvitation_();
+    if (this.events_) {
+      this.events_.trigger('expand', 'i');
+    }
+  };
+
+
+  /**
+   * Called when the user collapses the ad: close button, Escape key or
+   * leaving fullscreen.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.userCollapse_ = function() {
+    if (!this.collapse_()) {
+      return;
+    }
+    this.callEvent_('AdExpandedChange');
+    this.callEvent_('AdUserMinimize');
+    if (this.events_) {
+      this.events_.trigger('collapse', 'i');
+    }
+  };
+
+
+  /**
+   * Renders the expanded layout over the slot: map, dealership name,
+   * address and opening hours, the landing page and directions CTAs and a
+   * close button.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.renderExpanded_ = function() {
+    var dealership = this.dealership_ || {};
+    var events = this.events_;
+    var landing = this.landingUrl_();
+    var ctaUrl = events ?
+        events.buildUrl(landing, dealership.clickPixels) : landing;
+    var directionsUrl = dealership.address ?
+        'https://www.google.com/maps/search/?api=1&query=' +
+        encodeURIComponent(dealership.address + ' ' + dealership.c) : null;
+    var buttonStyle = 'display:inline-block;margin:16px 12px 0 0;' +
+        'padding:12px 24px;text-decoration:none;font-weight:bold;' +
+        'font-size:16px;';
+    var html = '<button type="button" data-adm-expanded="close" ' +
+        'aria-label="Fermer" style="position:absolute;top:12px;right:12px;' +
+        'width:40px;height:40px;border:0;border-radius:50%;' +
+        'background:rgba(255,255,255,.2);color:#fff;font-size:24px;' +
+        'cursor:pointer">\u00D7</button>';
+    if (dealership.mapImage) {
+      html += '<img src="' + this.escapeHtml_(dealership.mapImage) +
+          '" alt="" style="flex:1 1 320px;max-width:50%;max-height:80%;' +
+          'margin:24px;object-fit:cover">';
+    }
+    html += '<div style="flex:1 1 320px;margin:24px">';
+    if (dealership.c) {
+      html += '<div style="font-size:32px;font-weight:bold">' +
+          this.escapeHtml_(dealership.c) + '</div>';
+    }
+    if (dealership.address) {
+      html += '<div style="margin-top:8px;font-size:18px">' +
+          this.escapeHtml_(dealership.address) + '</div>';
+    }
+    if (dealership.hours) {
+      html += '<div style="margin-top:4px;font-size:16px;opacity:.7">' +
+          this.escapeHtml_(dealership.hours) + '</div>';
+    }
+    if (ctaUrl) {
+      html += '<a data-adm-expanded="cta" href="' + this.escapeHtml_(ctaUrl) +
+          '" target="_blank" style="' + buttonStyle +
+          'background:#fff;color:#000">' +
+          this.escapeHtml_(this.ctaLabel_()) + '</a>';
+    }
+    if (directionsUrl) {
+      html += '<a data-adm-expanded="directions" href="' +
+          this.escapeHtml_(directionsUrl) + '" target="_blank" style="' +
+          buttonStyle + 'border:2px solid #fff;color:#fff">Itinéraire</a>';
+    }
+    html += '</div>';
+    var expanded = document.createElement('div');
+    expanded.style.cssText = 'position:absolute;top:0;right:0;bottom:0;' +
+        'left:0;z-index:3;display:flex;flex-wrap:wrap;align-items:center;' +
+        'justify-content:center;overflow:auto;background:rgba(0,0,0,.85);' +
+        'color:#fff;font-family:Arial,sans-serif';
+    expanded.innerHTML = html;
+    expanded.querySelector('[data-adm-expanded="close"]').addEventListener(
+        'click', this.guard_('close', this.userCollapse_), false);
+    var cta = expanded.querySelector('[data-adm-expanded="cta"]');
+    if (cta) {
+      cta.addEventListener('click', this.guard_('click', function() {
+        this.callEvent_('AdClickThru', cta.href, '0', false);
+        if (events) {
+          events.trigger('expanded_cta_click', 'i');
+        }
+      }), false);
+    }
+    var directions = expanded.querySelector(
+        '[data-adm-expanded="directions"]');
+    if (directions && events) {
+      directions.addEventListener('click', function() {
+        events.trigger('directions_click', 'i');
+      }, false);
+    }
+    this.slot_.appendChild(expanded);
+    this.expandedElement_ = expanded;
   };
   
   
@@ -672,15 +3578,24 @@ var VpaidVideoPlayer = function() {
    */
   VpaidVideoPlayer.prototype.skipAd = function() {
     // this.log('skipAd');
+    if (!this.checkState_('skipAd')) {
+      return;
+    }
     var skippableState = this.attributes_['skippableState'];
-    if (skippableState) {
-      this.callEvent_('AdSkipped');
+    if (!skippableState) {
+      this.log('skipAd ignored, the ad is not skippable yet');
+      return;
+    }
+    if (this.events_) {
+      this.events_.trigger('skip', 'i');
     }
+    this.end_('AdSkipped');
   };
   
   
   /**
-   * Registers a callback for an event.
+   * Registers a callback for an event. Several callbacks can be registered
+   * for the same event, registering the same callback twice is a no-op.
    * @param {Function} aCallback The callback function.
    * @param {string} eventName The callback type.
    * @param {Object} aContext The context for the callback.
@@ -690,19 +3605,39 @@ var VpaidVideoPlayer = function() {
       eventName,
       aContext) {
     // this.log('Subscribe ' + aCallback);
-    var callBack = aCallback.bind(aContext);
-    this.eventsCallbacks_[eventName] = callBack;
+    var listeners = this.eventsCallbacks_[eventName] || [];
+    for (var i = 0; i < listeners.length; i++) {
+      if (listeners[i].callback === aCallback &&
+          listeners[i].context === aContext) {
+        return;
+      }
+    }
+    listeners.push({callback: aCallback, context: aContext});
+    this.eventsCallbacks_[eventName] = listeners;
   };
   
   
   /**
-   * Removes a callback based on the eventName.
+   * Removes a callback for an event, or all of them when only the eventName
+   * is given.
    *
-   * @param {string} eventName The callback type.
+   * @param {Function|string} aCallback The callback function.
+   * @param {string=} eventName The callback type.
    */
-  VpaidVideoPlayer.prototype.unsubscribe = function(eventName) {
+  VpaidVideoPlayer.prototype.unsubscribe = function(aCallback, eventName) {
     // this.log('unsubscribe ' + eventName);
-    this.eventsCallbacks_[eventName] = null;
+    if (typeof aCallback == 'string') {
+      eventName = aCallback;
+      aCallback = null;
+    }
+    var listeners = this.eventsCallbacks_[eventName] || [];
+    var remaining = [];
+    for (var i = 0; i < listeners.length; i++) {
+      if (aCallback && listeners[i].callback !== aCallback) {
+        remaining.push(listeners[i]);
+      }
+    }
+    this.eventsCallbacks_[eventName] = remaining;
   };
   
   
@@ -763,23 +3698,59 @@ var VpaidVideoPlayer = function() {
   
   
   /**
-   * Logs events and messages.
+   * Logs events and messages, and reports them to the wrapper with AdLog.
    *
    * @param {string} message
    */
   VpaidVideoPlayer.prototype.log = function(message) {
     console.log(message);
+    this.callEvent_('AdLog', message);
   };
   
   
   /**
-   * Calls an event if there is a callback.
+   * Checks that a VPAID method can be called in the current state, see
+   * ALLOWED_STATES_. Illegal calls are reported with AdLog, or AdError when
+   * the ad is started before it is loaded. A startAd once the ad is started
+   * or stopped is only logged, so that it does not end a playing ad.
+   * @param {string} method The VPAID method.
+   * @return {boolean} True if the call can go on.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.checkState_ = function(method) {
+    if (VpaidVideoPlayer.ALLOWED_STATES_[method].indexOf(this.state_) != -1) {
+      return true;
+    }
+    var message = method + ' ignored in state ' + this.state_;
+    if (method == 'startAd' &&
+        (this.state_ == 'created' || this.state_ == 'loading')) {
+      this.fail_(901, message);
+    } else {
+      this.log(message);
+    }
+    return false;
+  };
+
+
+  /**
+   * Calls every callback registered for an event. A callback throwing does
+   * not prevent the others from being called.
    * @param {string} eventType
+   * @param {...*} var_args Passed to the callbacks, e.g. the AdError message
+   *     or the url, id and playerHandles of AdClickThru.
    * @private
    */
-  VpaidVideoPlayer.prototype.callEvent_ = function(eventType) {
-    if (eventType in this.eventsCallbacks_) {
-      this.eventsCallbacks_[eventType]();
+  VpaidVideoPlayer.prototype.callEvent_ = function(eventType, var_args) {
+    var args = Array.prototype.slice.call(arguments, 1);
+    // Copy the listeners so that a callback can unsubscribe itself.
+    var listeners = (this.eventsCallbacks_[eventType] || []).slice();
+    for (var i = 0; i < listeners.length; i++) {
+      try {
+        listeners[i].callback.apply(listeners[i].context, args);
+      } catch (e) {
+        // Not this.log: an AdLog callback throwing would recurse.
+        console.log('Error in ' + eventType + ' callback: ' + e.message);
+      }
     }
   };
   
@@ -791,15 +3762,104 @@ var VpaidVideoPlayer = function() {
   VpaidVideoPlayer.prototype.muteButtonOnClick_ = function() {
     if (this.attributes_['volume'] == 0) {
       this.attributes_['volume'] = 1.0;
+      this.videoSlot_.muted = false;
       this.videoSlot_.volume = 1.0;
     } else {
       this.attributes_['volume'] = 0.0;
       this.videoSlot_.volume = 0.0;
     }
+    this.updateMuteButton_();
     this.callEvent_('AdVolumeChange');
   };
   
   
+  /**
+   * Callback when the media element reaches its end. Reports the quartiles
+   * the last timeupdate may have missed, then stops the ad as AdVideoComplete
+   * must be followed by AdStopped.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.videoEnded_ = function() {
+    if (this.nextSegment_()) {
+      return;
+    }
+    while (this.lastQuartileIndex_ < this.quartileEvents_.length) {
+      this.quartileReached_(this.quartileEvents_[this.lastQuartileIndex_].event);
+      this.lastQuartileIndex_ += 1;
+    }
+    this.stopAd();
+  };
+
+
+  /**
+   * Fires a quartile event. On completion, reports to the tracker whether the
+   * ad was audible and viewable (AVOC).
+   * @param {string} eventType The quartile event.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.quartileReached_ = function(eventType) {
+    this.callEvent_(eventType);
+    if (this.events_) {
+      // start, first_quartile... prefixed with the media type, e.g.
+      // audio_midpoint, so that they differ from the VAST quartile trackers.
+      for (var i = 0; i < this.quartileEvents_.length; i++) {
+        if (this.quartileEvents_[i].event == eventType) {
+          this.events_.trigger((this.isAudioMode_() ? 'audio_' : 'video_') +
+              this.quartileEvents_[i].tracking, 't');
+        }
+      }
+    }
+    if (eventType == 'AdVideoComplete' && this.events_ &&
+        this.events_.isViewable() && this.isAudible_()) {
+      this.events_.trigger('audible_viewable_complete', 't');
+    }
+  };
+
+
+  /**
+   * Whether the ad can be heard: playing with a volume above 0, see
+   * setAdVolume and the mute toggle.
+   * @return {boolean}
+   * @private
+   */
+  VpaidVideoPlayer.prototype.isAudible_ = function() {
+    return (this.state_ == 'started' || this.state_ == 'playing') &&
+        this.attributes_['volume'] > 0 &&
+        !!this.videoSlot_ && !this.videoSlot_.muted;
+  };
+
+
+  /**
+   * Whether the ad is started or resumed and its media is actually playing,
+   * not paused nor waiting for the autoplay to be allowed.
+   * @return {boolean}
+   * @private
+   */
+  VpaidVideoPlayer.prototype.isPlaying_ = function() {
+    return (this.state_ == 'started' || this.state_ == 'playing') &&
+        !!this.videoSlot_ && !this.videoSlot_.paused;
+  };
+
+
+  /**
+   * Called when the user closes the ad.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.userClose_ = function() {
+    this.callEvent_('AdUserClose');
+    this.stopAd();
+  };
+
+
+  /**
+   * Called when the user engages with the ad to get more information.
+   * @private
+   */
+  VpaidVideoPlayer.prototype.userAcceptInvitation_ = function() {
+    this.callEvent_('AdUserAcceptInvitation');
+  };
+
+
   /**
    * Callback when the video element calls start.
    * @private
@@ -809,6 +3869,12 @@ var VpaidVideoPlayer = function() {
   };
   
   
+  VpaidVideoPlayer.ENTRY_POINTS_.forEach(function(name) {
+    VpaidVideoPlayer.prototype[name] =
+        VpaidVideoPlayer.guarded_(name, VpaidVideoPlayer.prototype[name]);
+  });
+
+
   /**
    * Main function called by wrapper to get the VPAID ad.
    * @return {Object} The VPAID compliant ad.